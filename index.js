@@ -1,9 +1,30 @@
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
 require('dotenv').config();
 
 const GooglePlayService = require('./services/googlePlayService');
 const AppStoreService = require('./services/appStoreService');
+const AppRegistry = require('./services/appRegistry');
+const HttpClient = require('./services/httpClient');
+const { SourceHealth } = require('./services/sourceHealth');
+const { dedupeReviews } = require('./services/reviewIdentity');
+const ReviewStore = require('./services/reviewStore');
+const SyncService = require('./services/syncService');
+const AlertService = require('./services/alertService');
+const AppInfoHistory = require('./services/appInfoHistory');
+const Scheduler = require('./services/scheduler');
+const { InvalidCursorError, encodeCursor, cursorFromQuery } = require('./services/cursor');
+const { InvalidFilterError, parseReviewFilters, matchesFilters, hasFilters } = require('./services/reviewFilters');
+const { computeStats, computeTrends } = require('./services/statsEngine');
+const { INTERVALS } = require('./services/timeBuckets');
+const { extractTopics } = require('./services/topicExtractor');
+const { analyzeReleases } = require('./services/releaseRegression');
+const { FORMATS, parseExportOptions, writeExport } = require('./services/reviewExport');
+const { streamFormatFromRequest, EventStream } = require('./services/reviewStream');
+const { Cache, keyPart } = require('./services/cache');
+const { ScraperDrift, loadSelectors } = require('./services/scraperDrift');
+const { NotFoundError, combineErrors, failureStatus, fromWarning, toWarning } = require('./services/storeErrors');
 const appConfig = require('./config');
 
 const app = express();
@@ -14,52 +35,730 @@ app.use(cors());
 app.use(express.json());
 
 // Initialize services
-const googlePlayService = new GooglePlayService();
-const appStoreService = new AppStoreService();
+const httpClient = new HttpClient(appConfig.settings.http);
+const sourceHealth = new SourceHealth(appConfig.settings.sources);
+const scraperDrift = new ScraperDrift({
+  dataDir: appConfig.settings.dataDir,
+  maxSamples: appConfig.settings.scraper.maxSamples
+});
+const googlePlayService = new GooglePlayService({
+  httpClient,
+  sourceHealth,
+  baseUrl: appConfig.settings.stores.googlePlay,
+  selectors: loadSelectors(appConfig.settings.scraper.selectorsFile),
+  drift: scraperDrift
+});
+const appStoreService = new AppStoreService({
+  httpClient,
+  sourceHealth,
+  baseUrl: appConfig.settings.stores.appStore
+});
+const appRegistry = new AppRegistry(appConfig);
+const reviewStore = new ReviewStore(appConfig.settings.dataDir);
+const appInfoHistory = new AppInfoHistory(appConfig.settings.dataDir);
+const cache = new Cache(appConfig.settings.cache);
+const cacheTtl = appConfig.settings.cache.ttl;
+const alertService = new AlertService({
+  store: reviewStore,
+  config: appConfig.alerts,
+  dataDir: appConfig.settings.dataDir
+});
+const syncService = new SyncService({
+  googlePlayService,
+  appStoreService,
+  store: reviewStore,
+  limit: appConfig.settings.syncLimit,
+  alertService
+});
+
+// Make sure an app has been synced at least once before serving it from the store
+async function ensureSynced(entry) {
+  const lastSync = await reviewStore.getLastSync(entry.key);
+  if (!lastSync) {
+    await syncService.syncApp(entry);
+  }
+}
+
+// Failed storefronts and sources of a platform's last sync
+function syncWarnings(lastSync, platformKey) {
+  const result = lastSync && lastSync.platforms && lastSync.platforms[platformKey];
+  return (result && result.warnings) || [];
+}
+
+/**
+ * Reject with the failure of a platform's last sync when it failed on every storefront and
+ * nothing of the platform is stored, instead of answering with an empty success
+ */
+async function checkStoredPlatform(entry, platformKey, lastSync) {
+  const result = lastSync && lastSync.platforms && lastSync.platforms[platformKey];
+  if (!result || result.success !== false) return;
+
+  const counts = await reviewStore.countReviews(entry.key);
+  if (counts[platforms[platformKey].name]) return;
+
+  throw combineErrors(
+    `${platforms[platformKey].name} sync failed: ${(result.errors || []).join('; ')}`,
+    syncWarnings(lastSync, platformKey).map(fromWarning)
+  );
+}
+
+// Per-platform access to listings and live paging
+const platforms = {
+  android: {
+    name: 'Google Play',
+    listing: entry => entry.android,
+    fetchLive: (entry, limit, position, storefront) =>
+      googlePlayService.fetchReviewsFrom(
+        entry.android.packageId, storefront.language, limit, position, storefront.country
+      ),
+    fetchInfo: (entry, storefront) =>
+      googlePlayService.getAppInfo(entry.android.packageId, storefront.language, storefront.country)
+  },
+  ios: {
+    name: 'App Store',
+    listing: entry => entry.ios,
+    fetchLive: (entry, limit, position, storefront) =>
+      appStoreService.fetchReviewsFrom(
+        entry.ios.appId, storefront.country, limit, position, storefront.language
+      ),
+    fetchInfo: (entry, storefront) =>
+      appStoreService.getAppInfo(entry.ios.appId, storefront.country)
+  }
+};
+
+/**
+ * Fetch a platform's listing info for one storefront through the cache and keep a snapshot
+ * of every fresh fetch. Rejects with a typed store error when the info is unavailable; a
+ * failed snapshot write is only logged.
+ * @param {Object} [options]
+ * @param {string} [options.source] - What asked for it: 'request' or 'schedule'
+ * @param {boolean} [options.refresh] - Bypass the cache
+ * @returns {Promise<{value: Object|null, cached_at: string, hit: boolean}>}
+ */
+async function fetchAppInfo(entry, platformKey, storefront, options = {}) {
+  const storefrontKey = AppRegistry.storefrontKey(storefront);
+
+  return cache.wrap(`info:${entry.key}:${platformKey}:${storefrontKey}`, cacheTtl.appInfo, async () => {
+    const info = await platforms[platformKey].fetchInfo(entry, storefront);
+
+    await appInfoHistory.record(entry.key, {
+      platform: platformKey,
+      storefront: storefrontKey,
+      source: options.source || 'request'
+    }, info).catch(error => console.error(`Failed to record ${entry.key} app info snapshot:`, error.message));
+
+    return info;
+  }, { refresh: options.refresh });
+}
+
+/**
+ * Read one page of a platform's reviews, either from the store or live from the store front.
+ * Filters are applied before paging on the store; live pages are filtered after fetching,
+ * so they can hold fewer than `limit` reviews.
+ * Rejects with a NotFoundError when the app has no listing on that store, and with the typed
+ * store error when every live storefront failed (or, for the store, when the last sync did and
+ * nothing is stored).
+ * @param {boolean} [refresh] - Fetch live pages again instead of serving them from the cache
+ * @returns {Promise<{reviews: Array, next: Object|false, rejected: Array, sources: Array, warnings: Array,
+ *   cache: Object|null}>} `next` is false when there are no more pages, `rejected` lists live reviews that
+ *   failed schema validation, `sources` names the sources the reviews came from (for stored reviews, those
+ *   of the last sync), `warnings` lists failed storefronts and sources behind a partial page (for stored
+ *   reviews, those of the last sync),
+ *   `cache` tells whether live pages came from the cache (`{hit, cached_at}` of the oldest page)
+ */
+async function getReviewPage(entry, platformKey, limit, source = 'store', position = null, filters = {}, refresh = false) {
+  const platform = platforms[platformKey];
+
+  if (!platform.listing(entry)) {
+    throw new NotFoundError(`${entry.name} has no ${platform.name} listing`);
+  }
+
+  if (position === false) {
+    return { reviews: [], next: false, rejected: [], sources: [], warnings: [], cache: null };
+  }
+
+  if (source === 'live') {
+    return getLiveReviewPage(entry, platform, limit, position || {}, filters, refresh);
+  }
+
+  await ensureSynced(entry);
+  const lastSync = await reviewStore.getLastSync(entry.key);
+  await checkStoredPlatform(entry, platformKey, lastSync);
+  const reviews = await reviewStore.getReviews(entry.key, {
+    platform: platform.name,
+    filter: hasFilters(filters) ? review => matchesFilters(review, filters) : null,
+    after: position,
+    limit: limit + 1 // One extra to know whether another page exists
+  });
+  const page = reviews.slice(0, limit);
+  const last = page[page.length - 1];
+
+  // Stored reviews were validated when they were synced
+  return {
+    reviews: page,
+    // The next page starts after the last review of this one
+    next: reviews.length > limit ? { date: last.date, id: last.id } : false,
+    rejected: [],
+    sources: (lastSync && lastSync.platforms && lastSync.platforms[platformKey] &&
+      lastSync.platforms[platformKey].sources) || [],
+    warnings: syncWarnings(lastSync, platformKey),
+    cache: null
+  };
+}
+
+/**
+ * Fetch a live page from every storefront of the app concurrently and merge them.
+ * The live position keeps one position per storefront key (e.g. 'TR:tr'). A failed
+ * storefront becomes a warning and keeps its position, unless every storefront failed.
+ */
+async function getLiveReviewPage(entry, platform, limit, positions, filters, refresh) {
+  const storefronts = entry.storefronts.filter(storefront =>
+    !filters.countries || filters.countries.includes(storefront.country)
+  );
+  const limitPerStorefront = Math.ceil(limit / Math.max(storefronts.length, 1));
+
+  // Pages are cached unfiltered, so requests with different filters share them
+  const settled = await Promise.allSettled(storefronts.map(storefront => {
+    const storefrontKey = AppRegistry.storefrontKey(storefront);
+    const position = positions[storefrontKey];
+    if (position === false) {
+      return { value: { reviews: [], next: false, rejected: [], source: null }, cached_at: null, hit: true };
+    }
+    return cache.wrap(
+      `live:${entry.key}:${platform.name}:${storefrontKey}:${limitPerStorefront}:${keyPart(position || null)}`,
+      cacheTtl.live,
+      () => platform.fetchLive(entry, limitPerStorefront, position || null, storefront),
+      {
+        refresh: refresh,
+        // An empty page that claims more pages is most likely a blocked or failed scrape
+        cacheable: page => page.reviews.length > 0 || page.next === false
+      }
+    );
+  }));
+
+  const failed = settled.filter(result => result.status === 'rejected');
+  if (failed.length > 0 && failed.length === settled.length) {
+    throw failed[0].reason;
+  }
+
+  const next = {};
+  let reviews = [];
+  const rejected = [];
+  const sources = [];
+  const warnings = [];
+  const results = settled.filter(result => result.status === 'fulfilled').map(result => result.value);
+  const cachedAt = results.map(result => result.cached_at).filter(Boolean).sort();
+
+  settled.forEach((outcome, index) => {
+    const storefrontKey = AppRegistry.storefrontKey(storefronts[index]);
+
+    if (outcome.status === 'rejected') {
+      // Retried from the same position on the next page
+      next[storefrontKey] = positions[storefrontKey] || null;
+      warnings.push(toWarning(outcome.reason, { storefront: storefrontKey }));
+      return;
+    }
+
+    const result = outcome.value.value;
+    next[storefrontKey] = result.next || false;
+    reviews.push(...result.reviews);
+    rejected.push(...result.rejected);
+    if (result.source && !sources.includes(result.source)) sources.push(result.source);
+    // Pages cached before warnings existed have none
+    (result.warnings || []).forEach(warning => warnings.push(Object.assign({ storefront: storefrontKey }, warning)));
+  });
+
+  reviews = dedupeReviews(reviews).sort((a, b) => new Date(b.date) - new Date(a.date));
+  if (hasFilters(filters)) {
+    reviews = reviews.filter(review => matchesFilters(review, filters));
+  }
+
+  return {
+    reviews: reviews,
+    next: Object.values(next).some(position => position !== false) ? next : false,
+    rejected: rejected,
+    sources: sources,
+    warnings: warnings,
+    cache: {
+      hit: results.every(result => result.hit),
+      cached_at: cachedAt[0] || null
+    }
+  };
+}
+
+// Review counts per storefront country
+function countByCountry(reviews) {
+  return reviews.reduce((acc, review) => {
+    const country = review.country || 'unknown';
+    acc[country] = (acc[country] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+// Most reviews one response holds; streamed responses read them in pages of STREAM_PAGE_SIZE
+const MAX_PAGE_LIMIT = 200;
+const MAX_STREAM_LIMIT = 10000;
+
+// Reviews a request asks for: `?limit=` (a positive integer) or the configured default, capped
+function limitFromQuery(query, stream) {
+  let limit = appConfig.settings.maxReviews;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new InvalidFilterError(`Invalid limit: ${query.limit} (expected a positive integer)`);
+    }
+  }
+
+  return Math.min(limit, stream ? MAX_STREAM_LIMIT : MAX_PAGE_LIMIT);
+}
+
+// Paging state, filters, streaming format and limit for a review request, or a 400 response when one is malformed
+function readReviewQuery(req, res) {
+  try {
+    const stream = streamFormatFromRequest(req);
+    return {
+      cursor: cursorFromQuery(req.query),
+      filters: parseReviewFilters(req.query),
+      stream: stream,
+      limit: limitFromQuery(req.query, stream)
+    };
+  } catch (error) {
+    if (!(error instanceof InvalidCursorError) && !(error instanceof InvalidFilterError)) throw error;
+
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+// Reviews read per page while streaming, so large limits never sit in memory at once
+const STREAM_PAGE_SIZE = 100;
+
+/**
+ * Stream a review request as NDJSON or SSE: a `review` event for every review as its page
+ * arrives (platforms are read concurrently), then one `summary` event with the status of
+ * each platform and the next cursor
+ * @param {Object} limits - Reviews to read per platform key, e.g. `{android: 50, ios: 50}`
+ */
+async function streamReviews(req, res, format, limits, cursor, filters) {
+  const entry = req.appEntry;
+  const events = new EventStream(res, format);
+  const positions = { android: cursor.a, ios: cursor.i };
+
+  console.log(`Streaming ${entry.key} reviews (${Object.keys(limits).join(', ')}, ${cursor.s}, ${format})...`);
+  events.open();
+
+  const readPlatform = async key => {
+    const status = { success: true, count: 0, countries: {}, sources: [], rejected: [], warnings: [] };
+    let position = positions[key];
+
+    try {
+      while (status.count < limits[key] && position !== false && !events.closed) {
+        const page = await getReviewPage(
+          entry, key, Math.min(STREAM_PAGE_SIZE, limits[key] - status.count), cursor.s, position, filters, req.refresh
+        );
+
+        for (const review of page.reviews) {
+          if (!await events.send('review', { platform: key, review })) break;
+        }
+
+        Object.entries(countByCountry(page.reviews)).forEach(([country, count]) => {
+          status.countries[country] = (status.countries[country] || 0) + count;
+        });
+        status.count += page.reviews.length;
+        status.rejected.push(...page.rejected);
+        page.sources.forEach(source => {
+          if (!status.sources.includes(source)) status.sources.push(source);
+        });
+        status.warnings.push(...page.warnings);
+        position = page.next;
+      }
+    } catch (error) {
+      // A failed platform keeps its position so the next request retries it
+      status.success = false;
+      status.error = error.message;
+      status.error_type = error.type || 'internal';
+      if (!platforms[key].listing(entry)) position = false;
+    }
+
+    return { status, position };
+  };
+
+  try {
+    const keys = Object.keys(limits);
+    const results = await Promise.all(keys.map(readPlatform));
+    if (events.closed) return;
+
+    const summary = {
+      app: entry.key,
+      source: cursor.s,
+      total_reviews: 0,
+      platforms: {},
+      last_sync: await lastSyncTime(entry),
+      next_cursor: encodeCursor({
+        s: cursor.s,
+        a: limits.android !== undefined ? results[keys.indexOf('android')].position : false,
+        i: limits.ios !== undefined ? results[keys.indexOf('ios')].position : false
+      })
+    };
+    keys.forEach((key, index) => {
+      summary.platforms[key] = results[index].status;
+      summary.total_reviews += results[index].status.count;
+    });
+
+    await events.send('summary', summary);
+  } catch (error) {
+    console.error('Error streaming reviews:', error);
+    await events.send('error', { error: error.message });
+  }
+
+  events.end();
+}
+
+// Keys of the platforms an app is listed on, or only the requested one
+function listedPlatforms(entry, platformKey) {
+  return Object.keys(platforms).filter(key =>
+    platforms[key].listing(entry) && (!platformKey || platformKey === key)
+  );
+}
+
+/**
+ * All stored reviews of an app that pass the filters, newest first. Rejects like
+ * checkStoredPlatform when none of the platforms can be answered from the store.
+ * @param {string} [platformKey] - 'android' or 'ios'; both platforms when omitted
+ */
+async function getStoredReviews(entry, platformKey, filters = {}) {
+  await ensureSynced(entry);
+
+  const lastSync = await reviewStore.getLastSync(entry.key);
+  const keys = listedPlatforms(entry, platformKey);
+  const checks = await Promise.allSettled(keys.map(key => checkStoredPlatform(entry, key, lastSync)));
+  const failed = checks.filter(check => check.status === 'rejected').map(check => check.reason);
+  if (keys.length > 0 && failed.length === keys.length) {
+    throw failed.length === 1 ? failed[0] : combineErrors(failed.map(error => error.message).join('; '), failed);
+  }
+
+  return reviewStore.getReviews(entry.key, {
+    platform: platformKey ? platforms[platformKey].name : null,
+    filter: hasFilters(filters) ? review => matchesFilters(review, filters) : null
+  });
+}
+
+// Failed storefronts and sources of the last sync, for responses built from stored reviews
+async function storedWarnings(entry, platformKey) {
+  const lastSync = await reviewStore.getLastSync(entry.key);
+  return listedPlatforms(entry, platformKey).reduce((all, key) => all.concat(
+    syncWarnings(lastSync, key).map(warning => Object.assign({ platform: key }, warning))
+  ), []);
+}
+
+// Filters for an analytics request, or a 400 response when they are malformed
+function readAnalyticsQuery(req, res) {
+  const platform = req.query.platform;
+
+  try {
+    if (platform !== undefined && !platforms[platform]) {
+      throw new InvalidFilterError(`Invalid platform: ${platform} (expected android or ios)`);
+    }
+
+    return {
+      platform: platform,
+      filters: parseReviewFilters(req.query)
+    };
+  } catch (error) {
+    if (!(error instanceof InvalidFilterError)) throw error;
+
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Answer a failed request: typed store errors keep their type and HTTP status (404 not found,
+ * 502 network or parse failure, 503 blocked or circuit open), anything else is a 500
+ * @param {Object} [fields] - Extra response fields, e.g. the platform
+ */
+function sendError(res, error, fields = {}) {
+  if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+  res.status(error.httpStatus || 500).json(Object.assign({ success: false }, fields, {
+    error: error.message,
+    error_type: error.type || 'internal'
+  }));
+}
+
+/**
+ * Headers that let clients revalidate a response: Last-Modified is when the data was
+ * fetched, Express adds an ETag of the body and answers If-None-Match / If-Modified-Since
+ * with 304 Not Modified. X-Cache tells whether the data came from the cache.
+ * @param {string|null} lastModified - ISO timestamp
+ * @param {boolean|null} hit - Cache hit, null when the response does not go through the cache
+ */
+function setCacheHeaders(res, lastModified, hit) {
+  if (lastModified) res.set('Last-Modified', new Date(lastModified).toUTCString());
+  if (hit !== null) res.set('X-Cache', hit ? 'HIT' : 'MISS');
+  // Clients may keep the response but have to revalidate it
+  res.set('Cache-Control', 'no-cache');
+}
+
+// Freshness of review pages: live pages date from their fetch, stored ones from the last sync
+function pageFreshness(pages, lastSync) {
+  const cached = pages.map(page => page.cache).filter(Boolean);
+  if (cached.length === 0) {
+    return { lastModified: lastSync, hit: null };
+  }
+
+  return {
+    lastModified: cached.map(page => page.cached_at).filter(Boolean).sort()[0] || null,
+    hit: cached.every(page => page.hit)
+  };
+}
+
+async function lastSyncTime(entry) {
+  const lastSync = await reviewStore.getLastSync(entry.key);
+  return lastSync ? lastSync.finished_at : null;
+}
+
+// Work done by each scheduled job type; resolves to the records fetched and any failures
+const jobRunners = {
+  reviews: async entry => {
+    const summary = await syncService.syncApp(entry);
+    const failures = [];
+
+    Object.entries(summary.platforms).forEach(([key, result]) => {
+      (result.errors || []).forEach(error => failures.push(`${platforms[key].name}: ${error}`));
+    });
+
+    return {
+      records: summary.platforms.android.fetched + summary.platforms.ios.fetched,
+      failures: failures
+    };
+  },
+  'app-info': async entry => {
+    const failures = [];
+    let records = 0;
+
+    await Promise.all(entry.storefronts.map(storefront =>
+      Promise.all(Object.keys(platforms).filter(key => platforms[key].listing(entry)).map(async key => {
+        // Scheduled runs always fetch, so the history gets a snapshot every time
+        try {
+          await fetchAppInfo(entry, key, storefront, { source: 'schedule', refresh: true });
+          records++;
+        } catch (error) {
+          failures.push(`${platforms[key].name} ${AppRegistry.storefrontKey(storefront)}: ${error.message}`);
+        }
+      }))
+    ));
+
+    return { records, failures };
+  }
+};
+
+// Periodic collection jobs from each app's `schedule` config
+const scheduler = new Scheduler({ jitter: appConfig.settings.scheduler.jitter });
+
+appRegistry.keys().forEach(key => {
+  const entry = appRegistry.get(key);
+
+  entry.schedule.forEach(job => {
+    if (!jobRunners[job.type]) {
+      throw new Error(`Unknown job type "${job.type}" in the schedule of ${key}`);
+    }
+
+    const storefronts = job.storefronts ?
+      entry.storefronts.filter(storefront => job.storefronts.includes(AppRegistry.storefrontKey(storefront))) :
+      entry.storefronts;
+    if (storefronts.length === 0) {
+      throw new Error(`The ${job.type} job of ${key} matches none of its storefronts`);
+    }
+
+    // The job only collects its own storefronts
+    const jobEntry = Object.assign({}, entry, { storefronts });
+
+    scheduler.add({
+      id: job.storefronts ? `${key}:${job.type}:${job.storefronts.join(',')}` : `${key}:${job.type}`,
+      cron: job.cron,
+      jitter: job.jitter,
+      labels: { app: key, type: job.type, storefronts: storefronts.map(AppRegistry.storefrontKey) },
+      run: () => jobRunners[job.type](jobEntry)
+    });
+  });
+});
+
+// Constant-time comparison so the admin token cannot be guessed from response times
+function tokensMatch(given, expected) {
+  const a = crypto.createHash('sha256').update(String(given)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Whether a request carries the admin token (X-Admin-Token header or Authorization: Bearer)
+function hasAdminToken(req) {
+  const token = appConfig.settings.adminToken;
+  const given = req.get('X-Admin-Token') || (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+  return Boolean(token) && tokensMatch(given, token);
+}
+
+// Routes that make the service scrape the stores on demand are for admins only
+function requireAdmin(req, res, next) {
+  if (hasAdminToken(req)) return next();
+
+  res.status(403).json({
+    success: false,
+    error: appConfig.settings.adminToken ? 'This endpoint requires a valid admin token' :
+      'This endpoint is disabled (ADMIN_TOKEN is not set)'
+  });
+}
+
+// App-scoped routes, mounted under /apps/:appKey and at the root for the default app
+const appRouter = express.Router({ mergeParams: true });
+
+// Resolve the requested app from the registry
+appRouter.use((req, res, next) => {
+  const entry = appRegistry.get(req.params.appKey);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown app: ${req.params.appKey}`,
+      available_apps: appRegistry.keys()
+    });
+  }
+
+  req.appEntry = entry;
+  next();
+});
+
+// ?refresh=true bypasses the cache and scrapes the stores directly, so it needs the admin token
+// (X-Admin-Token header or Authorization: Bearer)
+appRouter.use((req, res, next) => {
+  req.refresh = false;
+  if (req.query.refresh === undefined || req.query.refresh === 'false') {
+    return next();
+  }
+
+  if (!hasAdminToken(req)) {
+    return res.status(403).json({
+      success: false,
+      error: appConfig.settings.adminToken ? 'refresh=true requires a valid admin token' :
+        'refresh=true is disabled (ADMIN_TOKEN is not set)'
+    });
+  }
+
+  req.refresh = true;
+  next();
+});
+
+// Scheduled jobs with their last run, duration, records fetched and failures
+app.get('/jobs', (req, res) => {
+  const jobs = scheduler.list().filter(job => !req.query.app || job.app === req.query.app);
+
+  res.json({
+    success: true,
+    scheduler_running: scheduler.started,
+    jobs: jobs
+  });
+});
+
+// Run a scheduled job right away (skipped when it is already running); scrapes the stores, so admins only
+app.post('/jobs/:jobId/run', requireAdmin, async (req, res) => {
+  try {
+    if (!scheduler.jobs.has(req.params.jobId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown job: ${req.params.jobId}`,
+        available_jobs: Array.from(scheduler.jobs.keys())
+      });
+    }
+
+    const run = await scheduler.runNow(req.params.jobId);
+
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        error: `Job ${req.params.jobId} is already running`
+      });
+    }
+
+    res.json({
+      success: run.success,
+      job: req.params.jobId,
+      run: run
+    });
+
+  } catch (error) {
+    console.error('Error running job:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
 
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
-    message: 'App Store & Google Play API - Koton Reviews',
+    message: 'App Store & Google Play API - Multi-app Reviews',
     endpoints: {
-      '/reviews': 'Get all reviews from both platforms',
-      '/reviews/android': 'Get Android/Google Play reviews only',
-      '/reviews/ios': 'Get iOS/App Store reviews only',
-      '/app-info': 'Get app information from both platforms',
-      '/stats': 'Get review statistics'
+      '/apps': 'List registered apps',
+      '/jobs': 'Scheduled collection jobs and their last runs (POST /jobs/:jobId/run to run one now)',
+      '/apps/:appKey/reviews': 'Get all reviews from both platforms',
+      '/apps/:appKey/reviews/android': 'Get Android/Google Play reviews only',
+      '/apps/:appKey/reviews/ios': 'Get iOS/App Store reviews only',
+      '/apps/:appKey/reviews/export': 'Download stored reviews as CSV, NDJSON or Excel (?format=csv|ndjson|xlsx)',
+      '/apps/:appKey/app-info': 'Get app information from both platforms',
+      '/apps/:appKey/app-info/history': 'Rating, review count, installs and version over time with highlighted changes',
+      '/apps/:appKey/stats': 'Get review statistics',
+      '/apps/:appKey/trends': 'Review count and average rating per day/week/month, by platform or version',
+      '/apps/:appKey/insights/topics': 'Group stored reviews into recurring themes',
+      '/apps/:appKey/insights/releases': 'Compare each app version with the previous one and flag regressions',
+      '/apps/:appKey/sync': 'GET last sync status, POST (admin token) to sync new reviews into the store',
+      '/apps/:appKey/alerts': 'Alert rules and webhook delivery log (POST /alerts/test sends a test alert)',
+      '/reviews, /reviews/android, /reviews/ios, /app-info, /stats': 'Same as above for the default app'
     },
-    app_info: {
-      android_package: appConfig.android.packageId,
-      ios_app_id: appConfig.ios.appId,
-      language: appConfig.settings.language
-    }
+    default_app: appRegistry.defaultKey,
+    apps: appRegistry.list()
+  });
+});
+
+// List registered apps
+app.get('/apps', (req, res) => {
+  res.json({
+    success: true,
+    default_app: appRegistry.defaultKey,
+    apps: appRegistry.list()
   });
 });
 
 // Get all reviews from both platforms
-app.get('/reviews', async (req, res) => {
+appRouter.get('/reviews', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || appConfig.settings.maxReviews;
+    const entry = req.appEntry;
+    const query = readReviewQuery(req, res);
+    if (!query) return;
+    const { cursor, filters, limit } = query;
     const limitPerPlatform = Math.ceil(limit / 2);
 
-    console.log(`Fetching reviews from both platforms (${limitPerPlatform} each)...`);
+    if (query.stream) {
+      return streamReviews(req, res, query.stream, { android: limitPerPlatform, ios: limitPerPlatform }, cursor, filters);
+    }
+
+    console.log(`Reading ${entry.key} reviews from both platforms (${limitPerPlatform} each, ${cursor.s})...`);
 
-    // Fetch reviews from both platforms in parallel
+    // Read reviews for both platforms in parallel
     const [androidReviews, iosReviews] = await Promise.allSettled([
-      googlePlayService.fetchReviews(
-        appConfig.android.packageId,
-        appConfig.settings.language,
-        limitPerPlatform
-      ),
-      appStoreService.fetchReviews(
-        appConfig.ios.appId,
-        appConfig.settings.country,
-        limitPerPlatform
-      )
+      getReviewPage(entry, 'android', limitPerPlatform, cursor.s, cursor.a, filters, req.refresh),
+      getReviewPage(entry, 'ios', limitPerPlatform, cursor.s, cursor.i, filters, req.refresh)
     ]);
 
     const result = {
       success: true,
+      app: entry.key,
+      source: cursor.s,
       total_reviews: 0,
       platforms: {
         android: {
@@ -73,130 +772,288 @@ app.get('/reviews', async (req, res) => {
           reviews: []
         }
       },
-      combined_reviews: []
+      combined_reviews: [],
+      next_cursor: null,
+      warnings: []
     };
 
     // Process Android reviews
     if (androidReviews.status === 'fulfilled') {
-      result.platforms.android.reviews = androidReviews.value;
-      result.platforms.android.count = androidReviews.value.length;
-      result.combined_reviews.push(...androidReviews.value);
+      result.platforms.android.reviews = androidReviews.value.reviews;
+      result.platforms.android.count = androidReviews.value.reviews.length;
+      result.platforms.android.rejected = androidReviews.value.rejected;
+      result.platforms.android.sources = androidReviews.value.sources;
+      result.platforms.android.countries = countByCountry(androidReviews.value.reviews);
+      result.combined_reviews.push(...androidReviews.value.reviews);
+      androidReviews.value.warnings.forEach(warning => result.warnings.push(Object.assign({ platform: 'android' }, warning)));
     } else {
       result.platforms.android.error = androidReviews.reason.message;
+      result.platforms.android.error_type = androidReviews.reason.type || 'internal';
+      if (entry.android) result.warnings.push(toWarning(androidReviews.reason, { platform: 'android' }));
     }
 
     // Process iOS reviews
     if (iosReviews.status === 'fulfilled') {
-      result.platforms.ios.reviews = iosReviews.value;
-      result.platforms.ios.count = iosReviews.value.length;
-      result.combined_reviews.push(...iosReviews.value);
+      result.platforms.ios.reviews = iosReviews.value.reviews;
+      result.platforms.ios.count = iosReviews.value.reviews.length;
+      result.platforms.ios.rejected = iosReviews.value.rejected;
+      result.platforms.ios.sources = iosReviews.value.sources;
+      result.platforms.ios.countries = countByCountry(iosReviews.value.reviews);
+      result.combined_reviews.push(...iosReviews.value.reviews);
+      iosReviews.value.warnings.forEach(warning => result.warnings.push(Object.assign({ platform: 'ios' }, warning)));
     } else {
       result.platforms.ios.error = iosReviews.reason.message;
+      result.platforms.ios.error_type = iosReviews.reason.type || 'internal';
+      if (entry.ios) result.warnings.push(toWarning(iosReviews.reason, { platform: 'ios' }));
     }
 
     // Sort combined reviews by date (newest first)
     result.combined_reviews.sort((a, b) => new Date(b.date) - new Date(a.date));
     result.total_reviews = result.combined_reviews.length;
+    result.countries = countByCountry(result.combined_reviews);
+    result.last_sync = await lastSyncTime(entry);
+
+    // Nothing could be read: answer with the status of the failures instead of an empty success
+    if (androidReviews.status === 'rejected' && iosReviews.status === 'rejected') {
+      result.success = false;
+      return res.status(failureStatus([androidReviews.reason, iosReviews.reason])).json(result);
+    }
+
+    // A failed platform keeps its position so the next page retries it
+    result.next_cursor = encodeCursor({
+      s: cursor.s,
+      a: nextPosition(androidReviews, entry.android, cursor.a),
+      i: nextPosition(iosReviews, entry.ios, cursor.i)
+    });
 
+    const freshness = pageFreshness(
+      [androidReviews, iosReviews].filter(settled => settled.status === 'fulfilled').map(settled => settled.value),
+      result.last_sync
+    );
+    setCacheHeaders(res, freshness.lastModified, freshness.hit);
     res.json(result);
 
   } catch (error) {
     console.error('Error fetching reviews:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message
+    sendError(res, error);
+  }
+});
+
+// Export every stored review that passes the filters as CSV, NDJSON or Excel
+appRouter.get('/reviews/export', async (req, res) => {
+  try {
+    const entry = req.appEntry;
+    const query = readAnalyticsQuery(req, res);
+    if (!query) return;
+
+    let options;
+    try {
+      options = parseExportOptions(req.query, appConfig.settings.export);
+    } catch (error) {
+      if (!(error instanceof InvalidFilterError)) throw error;
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const reviews = await getStoredReviews(entry, query.platform, query.filters);
+    const format = FORMATS[options.format];
+    const filename = `${entry.key}-reviews-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+
+    console.log(`Exporting ${reviews.length} ${entry.key} reviews as ${options.format}...`);
+
+    res.set({
+      'Content-Type': format.contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'X-Total-Count': String(reviews.length)
     });
+
+    await writeExport(res, reviews, options);
+    if (!res.writableEnded) res.end();
+
+  } catch (error) {
+    console.error('Error exporting reviews:', error);
+
+    // Once the file has started there is no way to report the error in the body
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    sendError(res, error);
   }
 });
 
+function nextPosition(settled, listing, position) {
+  if (settled.status === 'fulfilled') return settled.value.next;
+  return listing ? position : false;
+}
+
 // Get Android/Google Play reviews only
-app.get('/reviews/android', async (req, res) => {
+appRouter.get('/reviews/android', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || appConfig.settings.maxReviews;
+    const query = readReviewQuery(req, res);
+    if (!query) return;
+    const { cursor, filters, limit } = query;
 
-    console.log(`Fetching Android reviews...`);
+    if (query.stream) {
+      return streamReviews(req, res, query.stream, { android: limit }, cursor, filters);
+    }
 
-    const reviews = await googlePlayService.fetchReviews(
-      appConfig.android.packageId,
-      appConfig.settings.language,
-      limit
-    );
+    console.log(`Reading ${req.appEntry.key} Android reviews (${cursor.s})...`);
 
+    const page = await getReviewPage(req.appEntry, 'android', limit, cursor.s, cursor.a, filters, req.refresh);
+    const lastSync = await lastSyncTime(req.appEntry);
+
+    const freshness = pageFreshness([page], lastSync);
+    setCacheHeaders(res, freshness.lastModified, freshness.hit);
     res.json({
       success: true,
+      app: req.appEntry.key,
       platform: 'Google Play Store',
-      count: reviews.length,
-      reviews: reviews
+      source: cursor.s,
+      last_sync: lastSync,
+      count: page.reviews.length,
+      countries: countByCountry(page.reviews),
+      reviews: page.reviews,
+      rejected: page.rejected,
+      sources: page.sources,
+      warnings: page.warnings,
+      next_cursor: encodeCursor({ s: cursor.s, a: page.next, i: false })
     });
 
   } catch (error) {
     console.error('Error fetching Android reviews:', error);
-    res.status(500).json({
-      success: false,
-      platform: 'Google Play Store',
-      error: error.message
-    });
+    sendError(res, error, { platform: 'Google Play Store' });
   }
 });
 
 // Get iOS/App Store reviews only
-app.get('/reviews/ios', async (req, res) => {
+appRouter.get('/reviews/ios', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || appConfig.settings.maxReviews;
+    const query = readReviewQuery(req, res);
+    if (!query) return;
+    const { cursor, filters, limit } = query;
 
-    console.log(`Fetching iOS reviews...`);
+    if (query.stream) {
+      return streamReviews(req, res, query.stream, { ios: limit }, cursor, filters);
+    }
 
-    const reviews = await appStoreService.fetchReviews(
-      appConfig.ios.appId,
-      appConfig.settings.country,
-      limit
-    );
+    console.log(`Reading ${req.appEntry.key} iOS reviews (${cursor.s})...`);
+
+    const page = await getReviewPage(req.appEntry, 'ios', limit, cursor.s, cursor.i, filters, req.refresh);
+    const lastSync = await lastSyncTime(req.appEntry);
 
+    const freshness = pageFreshness([page], lastSync);
+    setCacheHeaders(res, freshness.lastModified, freshness.hit);
     res.json({
       success: true,
+      app: req.appEntry.key,
       platform: 'App Store',
-      count: reviews.length,
-      reviews: reviews
+      source: cursor.s,
+      last_sync: lastSync,
+      count: page.reviews.length,
+      countries: countByCountry(page.reviews),
+      reviews: page.reviews,
+      rejected: page.rejected,
+      sources: page.sources,
+      warnings: page.warnings,
+      next_cursor: encodeCursor({ s: cursor.s, i: page.next, a: false })
     });
 
   } catch (error) {
     console.error('Error fetching iOS reviews:', error);
-    res.status(500).json({
-      success: false,
-      platform: 'App Store',
-      error: error.message
-    });
+    sendError(res, error, { platform: 'App Store' });
   }
 });
 
 // Get app information from both platforms
-app.get('/app-info', async (req, res) => {
+appRouter.get('/app-info', async (req, res) => {
   try {
-    console.log('Fetching app information from both platforms...');
+    const entry = req.appEntry;
 
-    const [androidInfo, iosInfo] = await Promise.allSettled([
-      googlePlayService.getAppInfo(appConfig.android.packageId, appConfig.settings.language),
-      appStoreService.getAppInfo(appConfig.ios.appId, appConfig.settings.country)
-    ]);
+    console.log(`Fetching ${entry.key} app information from both platforms...`);
+
+    const [androidInfo, iosInfo] = await Promise.allSettled(['android', 'ios'].map(key =>
+      platforms[key].listing(entry) ?
+        fetchAppInfo(entry, key, entry.storefronts[0], { refresh: req.refresh }) :
+        Promise.reject(new NotFoundError(`${entry.name} has no ${platforms[key].name} listing`))
+    ));
 
     const result = {
       success: true,
+      app: entry.key,
       android: {
         success: androidInfo.status === 'fulfilled',
-        info: androidInfo.status === 'fulfilled' ? androidInfo.value : null,
-        error: androidInfo.status === 'rejected' ? androidInfo.reason.message : null
+        info: androidInfo.status === 'fulfilled' ? androidInfo.value.value : null,
+        error: androidInfo.status === 'rejected' ? androidInfo.reason.message : null,
+        error_type: androidInfo.status === 'rejected' ? androidInfo.reason.type || 'internal' : null
       },
       ios: {
         success: iosInfo.status === 'fulfilled',
-        info: iosInfo.status === 'fulfilled' ? iosInfo.value : null,
-        error: iosInfo.status === 'rejected' ? iosInfo.reason.message : null
-      }
+        info: iosInfo.status === 'fulfilled' ? iosInfo.value.value : null,
+        error: iosInfo.status === 'rejected' ? iosInfo.reason.message : null,
+        error_type: iosInfo.status === 'rejected' ? iosInfo.reason.type || 'internal' : null
+      },
+      warnings: []
     };
 
+    // Failures of platforms the app is listed on
+    Object.entries({ android: androidInfo, ios: iosInfo }).forEach(([key, settled]) => {
+      if (settled.status === 'rejected' && platforms[key].listing(entry)) {
+        result.warnings.push(toWarning(settled.reason, { platform: key }));
+      }
+    });
+
+    if (androidInfo.status === 'rejected' && iosInfo.status === 'rejected') {
+      result.success = false;
+      return res.status(failureStatus([androidInfo.reason, iosInfo.reason])).json(result);
+    }
+
+    const fetched = [androidInfo, iosInfo].filter(settled => settled.status === 'fulfilled').map(settled => settled.value);
+    setCacheHeaders(
+      res,
+      fetched.map(info => info.cached_at).sort()[0] || null,
+      fetched.length > 0 ? fetched.every(info => info.hit) : null
+    );
     res.json(result);
 
   } catch (error) {
     console.error('Error fetching app info:', error);
+    sendError(res, error);
+  }
+});
+
+// Stored app-info snapshots over time with version, rating and install tier changes
+appRouter.get('/app-info/history', async (req, res) => {
+  try {
+    const entry = req.appEntry;
+    const query = readAnalyticsQuery(req, res);
+    if (!query) return;
+
+    const series = await appInfoHistory.getHistory(entry.key, {
+      platform: query.platform,
+      countries: query.filters.countries,
+      since: query.filters.since,
+      until: query.filters.until
+    });
+
+    // Every change across platforms and storefronts, newest first
+    const changes = [];
+    series.forEach(item => item.changes.forEach(change => {
+      changes.push(Object.assign({ platform: item.platform, storefront: item.storefront }, change));
+    }));
+    changes.sort((a, b) => new Date(b.at) - new Date(a.at));
+
+    res.json({
+      success: true,
+      app: entry.key,
+      changes: changes,
+      series: series
+    });
+
+  } catch (error) {
+    console.error('Error reading app info history:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -204,49 +1061,343 @@ app.get('/app-info', async (req, res) => {
   }
 });
 
-// Get review statistics
-app.get('/stats', async (req, res) => {
+// Review statistics over every stored review in the requested window
+appRouter.get('/stats', async (req, res) => {
   try {
-    console.log('Fetching review statistics...');
-
-    const [androidStats, iosStats] = await Promise.allSettled([
-      (async () => {
-        const reviews = await googlePlayService.fetchReviews(
-          appConfig.android.packageId,
-          appConfig.settings.language,
-          50
-        );
-        return {
-          platform: 'Google Play',
-          sample_size: reviews.length,
-          ratings: reviews.reduce((acc, review) => {
-            acc[review.rating] = (acc[review.rating] || 0) + 1;
-            return acc;
-          }, {}),
-          recent_reviews: reviews.slice(0, 5)
-        };
-      })(),
-      appStoreService.getReviewsStats(appConfig.ios.appId, appConfig.settings.country)
+    const entry = req.appEntry;
+    const query = readAnalyticsQuery(req, res);
+    if (!query) return;
+
+    await ensureSynced(entry);
+    const lastSync = await lastSyncTime(entry);
+    const window = { since: query.filters.since, until: query.filters.until };
+
+    // The last sync is part of the key, so a sync makes every cached result stale
+    const stats = await cache.wrap(`stats:${entry.key}:${lastSync}:${keyPart(query)}`, cacheTtl.stats, async () => {
+      console.log(`Computing ${entry.key} review statistics...`);
+
+      const reviews = await getStoredReviews(entry, query.platform, query.filters);
+
+      const platformStats = {};
+      Object.entries(platforms).forEach(([key, platform]) => {
+        if (!platform.listing(entry) || (query.platform && query.platform !== key)) {
+          platformStats[key] = null;
+          return;
+        }
+        platformStats[key] = computeStats(reviews.filter(review => review.platform === platform.name), window);
+      });
+
+      return { platforms: platformStats, combined: computeStats(reviews, window) };
+    }, { refresh: req.refresh });
+
+    setCacheHeaders(res, lastSync, stats.hit);
+    res.json({
+      success: true,
+      app: entry.key,
+      platform: query.platform || 'all',
+      window: {
+        since: window.since ? window.since.toISOString() : null,
+        until: window.until ? window.until.toISOString() : null
+      },
+      last_sync: lastSync,
+      platforms: stats.value.platforms,
+      combined: stats.value.combined,
+      warnings: await storedWarnings(entry, query.platform)
+    });
+
+  } catch (error) {
+    // A window too long for its time buckets
+    if (error instanceof InvalidFilterError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error fetching stats:', error);
+    sendError(res, error);
+  }
+});
+
+// Review count and average rating over time, per platform or per app version
+appRouter.get('/trends', async (req, res) => {
+  try {
+    const entry = req.appEntry;
+    const query = readAnalyticsQuery(req, res);
+    if (!query) return;
+
+    const interval = req.query.interval || 'week';
+    const groupBy = req.query.group_by || 'platform';
+
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid interval: ${interval} (expected ${INTERVALS.join(', ')})`
+      });
+    }
+    if (!['platform', 'version'].includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid group_by: ${groupBy} (expected platform or version)`
+      });
+    }
+
+    console.log(`Computing ${entry.key} ${interval} trends by ${groupBy}...`);
+
+    const reviews = await getStoredReviews(entry, query.platform, query.filters);
+
+    res.json(Object.assign({
+      success: true,
+      app: entry.key,
+      platform: query.platform || 'all',
+      last_sync: await lastSyncTime(entry)
+    }, computeTrends(reviews, {
+      interval,
+      groupBy,
+      since: query.filters.since,
+      until: query.filters.until
+    }), {
+      warnings: await storedWarnings(entry, query.platform)
+    }));
+
+  } catch (error) {
+    // A window too long for its time buckets
+    if (error instanceof InvalidFilterError) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+    console.error('Error computing trends:', error);
+    sendError(res, error);
+  }
+});
+
+// Regression thresholds from config, overridable per request
+function readRegressionThresholds(query) {
+  const thresholds = Object.assign({}, appConfig.settings.regression);
+  const overrides = {
+    min_reviews: 'minReviews',
+    rating_drop: 'ratingDrop',
+    low_rating_increase: 'lowRatingShareIncrease',
+    keyword_min_share: 'keywordMinShare'
+  };
+
+  Object.entries(overrides).forEach(([param, key]) => {
+    if (query[param] === undefined) return;
+
+    const value = Number(query[param]);
+    if (isNaN(value) || value < 0) {
+      throw new InvalidFilterError(`Invalid ${param}: ${query[param]} (expected a non-negative number)`);
+    }
+    thresholds[key] = value;
+  });
+
+  return thresholds;
+}
+
+// Compare each app version with the previous one and flag regressions
+appRouter.get('/insights/releases', async (req, res) => {
+  try {
+    const entry = req.appEntry;
+    const query = readAnalyticsQuery(req, res);
+    if (!query) return;
+
+    let thresholds;
+    try {
+      thresholds = readRegressionThresholds(req.query);
+    } catch (error) {
+      if (!(error instanceof InvalidFilterError)) throw error;
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    console.log(`Comparing ${entry.key} releases...`);
+
+    const keys = listedPlatforms(entry, query.platform);
+
+    const warnings = await storedWarnings(entry, query.platform);
+    const [reviews, ...appInfos] = await Promise.all([
+      getStoredReviews(entry, query.platform, query.filters),
+      // The current listing version is a bonus; the report still works without it
+      ...keys.map(key => fetchAppInfo(entry, key, entry.storefronts[0], { refresh: req.refresh })
+        .then(result => result.value, error => {
+          warnings.push(toWarning(error, { platform: key }));
+          return null;
+        }))
     ]);
 
     const result = {
       success: true,
-      android: {
-        success: androidStats.status === 'fulfilled',
-        stats: androidStats.status === 'fulfilled' ? androidStats.value : null,
-        error: androidStats.status === 'rejected' ? androidStats.reason.message : null
-      },
-      ios: {
-        success: iosStats.status === 'fulfilled',
-        stats: iosStats.status === 'fulfilled' ? iosStats.value : null,
-        error: iosStats.status === 'rejected' ? iosStats.reason.message : null
-      }
+      app: entry.key,
+      last_sync: await lastSyncTime(entry),
+      thresholds: thresholds,
+      platforms: {},
+      regressions: [],
+      warnings: warnings
     };
 
+    keys.forEach((key, index) => {
+      const platform = platforms[key];
+      const report = analyzeReleases(
+        reviews.filter(review => review.platform === platform.name), thresholds, appInfos[index]
+      );
+
+      result.platforms[key] = report;
+      report.releases.filter(release => release.regression).forEach(release => {
+        result.regressions.push({
+          platform: key,
+          version: release.version,
+          previous_version: release.previous_version,
+          reasons: release.reasons
+        });
+      });
+    });
+
     res.json(result);
 
   } catch (error) {
-    console.error('Error fetching stats:', error);
+    console.error('Error comparing releases:', error);
+    sendError(res, error);
+  }
+});
+
+// Recurring themes in stored reviews ("what are people complaining about")
+appRouter.get('/insights/topics', async (req, res) => {
+  try {
+    const entry = req.appEntry;
+    const query = readAnalyticsQuery(req, res);
+    if (!query) return;
+
+    const examples = Math.min(parseInt(req.query.examples) || 3, 20);
+
+    console.log(`Extracting ${entry.key} review topics...`);
+
+    const reviews = await getStoredReviews(entry, query.platform, query.filters);
+
+    res.json(Object.assign({
+      success: true,
+      app: entry.key,
+      platform: query.platform || 'all',
+      last_sync: await lastSyncTime(entry)
+    }, extractTopics(reviews, { examples }), {
+      warnings: await storedWarnings(entry, query.platform)
+    }));
+
+  } catch (error) {
+    console.error('Error extracting topics:', error);
+    sendError(res, error);
+  }
+});
+
+// Alert rules that apply to the app and recent webhook deliveries
+appRouter.get('/alerts', async (req, res) => {
+  try {
+    const entry = req.appEntry;
+
+    res.json({
+      success: true,
+      app: entry.key,
+      rules: alertService.rulesFor(entry.key).map(rule => ({
+        id: rule.id,
+        type: rule.type,
+        description: rule.description,
+        platform: rule.platform || 'all',
+        webhooks: rule.webhooks || Object.keys(alertService.webhooks)
+      })),
+      webhooks: Object.values(alertService.webhooks).map(webhook => ({
+        name: webhook.name,
+        format: webhook.format
+      })),
+      deliveries: await alertService.getDeliveryLog(entry.key, parseInt(req.query.limit) || 50)
+    });
+
+  } catch (error) {
+    console.error('Error reading alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Send a test alert to every active webhook, or the one named in ?webhook=
+appRouter.post('/alerts/test', async (req, res) => {
+  try {
+    const entry = req.appEntry;
+    const webhook = req.query.webhook;
+
+    if (webhook && !alertService.webhooks[webhook]) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown or inactive webhook: ${webhook}`,
+        available_webhooks: Object.keys(alertService.webhooks)
+      });
+    }
+
+    if (Object.keys(alertService.webhooks).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No active webhooks; set a webhook URL in config.js or the environment'
+      });
+    }
+
+    const deliveries = await alertService.sendTest(entry, webhook);
+
+    res.json({
+      success: deliveries.every(delivery => delivery.status === 'delivered'),
+      app: entry.key,
+      deliveries: deliveries
+    });
+
+  } catch (error) {
+    console.error('Error sending test alert:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Last sync status and stored review counts
+appRouter.get('/sync', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      app: req.appEntry.key,
+      last_sync: await reviewStore.getLastSync(req.appEntry.key),
+      stored_reviews: await reviewStore.countReviews(req.appEntry.key)
+    });
+
+  } catch (error) {
+    console.error('Error reading sync status:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Fetch the newest reviews and append the unseen ones to the store
+appRouter.post('/sync', requireAdmin, async (req, res) => {
+  try {
+    const summary = await syncService.syncApp(req.appEntry);
+    const success = summary.platforms.android.success || summary.platforms.ios.success;
+
+    // Every storefront of both platforms failed: answer with the status of the failures
+    const warnings = ['android', 'ios'].reduce((all, key) => all.concat(
+      summary.platforms[key].warnings.map(warning => Object.assign({ platform: key }, warning))
+    ), []);
+    res.status(success ? 200 : failureStatus(warnings)).json({
+      success: success,
+      sync: summary,
+      warnings: warnings,
+      stored_reviews: await reviewStore.countReviews(req.appEntry.key)
+    });
+
+  } catch (error) {
+    console.error('Error syncing reviews:', error);
     res.status(500).json({
       success: false,
       error: error.message
@@ -259,15 +1410,52 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'OK',
     timestamp: new Date().toISOString(),
-    app_config: {
-      android_package: appConfig.android.packageId,
-      ios_app_id: appConfig.ios.appId,
-      language: appConfig.settings.language,
-      country: appConfig.settings.country
-    }
+    default_app: appRegistry.defaultKey,
+    apps: appRegistry.list(),
+    cache: Object.assign({ enabled: cache.enabled, disk: Boolean(cache.disk) }, cache.stats)
+  });
+});
+
+// Outbound request metrics per store host
+app.get('/health/http', (req, res) => {
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    http: httpClient.metrics()
   });
 });
 
+// Circuit breaker state and success rates of the data sources
+app.get('/health/sources', (req, res) => {
+  res.json({
+    success: true,
+    timestamp: new Date().toISOString(),
+    sources: sourceHealth.list()
+  });
+});
+
+// Selector drift of the scraped Google Play pages and the saved samples of drifted pages
+app.get('/health/scrapers', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      timestamp: new Date().toISOString(),
+      selectors_file: appConfig.settings.scraper.selectorsFile,
+      pages: await scraperDrift.status()
+    });
+
+  } catch (error) {
+    console.error('Error reading scraper drift:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+app.use('/apps/:appKey', appRouter);
+app.use('/', appRouter);
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Unhandled error:', error);
@@ -285,30 +1473,75 @@ app.use((req, res) => {
     error: 'Endpoint not found',
     available_endpoints: [
       'GET /',
+      'GET /apps',
+      'GET /jobs',
+      'POST /jobs/:jobId/run',
+      'GET /apps/:appKey/reviews',
+      'GET /apps/:appKey/reviews/android',
+      'GET /apps/:appKey/reviews/ios',
+      'GET /apps/:appKey/reviews/export',
+      'GET /apps/:appKey/app-info',
+      'GET /apps/:appKey/app-info/history',
+      'GET /apps/:appKey/stats',
+      'GET /apps/:appKey/trends',
+      'GET /apps/:appKey/insights/topics',
+      'GET /apps/:appKey/insights/releases',
+      'GET /apps/:appKey/sync',
+      'POST /apps/:appKey/sync',
+      'GET /apps/:appKey/alerts',
+      'POST /apps/:appKey/alerts/test',
       'GET /reviews',
       'GET /reviews/android',
       'GET /reviews/ios',
+      'GET /reviews/export',
       'GET /app-info',
+      'GET /app-info/history',
       'GET /stats',
-      'GET /health'
+      'GET /trends',
+      'GET /insights/topics',
+      'GET /insights/releases',
+      'GET /sync',
+      'POST /sync',
+      'GET /alerts',
+      'POST /alerts/test',
+      'GET /health',
+      'GET /health/http',
+      'GET /health/sources',
+      'GET /health/scrapers'
     ]
   });
 });
 
-// Start server
-app.listen(port, () => {
-  console.log(`🚀 App Store & Google Play API server running on port ${port}`);
-  console.log(`📱 Configured for Koton app:`);
-  console.log(`   - Android: ${appConfig.android.packageId}`);
-  console.log(`   - iOS: ${appConfig.ios.appId}`);
-  console.log(`   - Language: ${appConfig.settings.language}`);
-  console.log(`\n🌐 Available endpoints:`);
-  console.log(`   - http://localhost:${port}/`);
-  console.log(`   - http://localhost:${port}/reviews`);
-  console.log(`   - http://localhost:${port}/reviews/android`);
-  console.log(`   - http://localhost:${port}/reviews/ios`);
-  console.log(`   - http://localhost:${port}/app-info`);
-  console.log(`   - http://localhost:${port}/stats`);
-});
+// Start the server when run directly; the test suite requires the app without listening
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`🚀 App Store & Google Play API server running on port ${port}`);
+    console.log(`📱 Registered apps:`);
+    appRegistry.list().forEach(entry => {
+      console.log(`   - ${entry.key}${entry.default ? ' (default)' : ''}: Android ${entry.android_package || '-'}, iOS ${entry.ios_app_id || '-'}, ${entry.countries.join('/')} ${entry.languages.join('/')}`);
+    });
+    console.log(`\n🌐 Available endpoints:`);
+    console.log(`   - http://localhost:${port}/`);
+    console.log(`   - http://localhost:${port}/apps`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/reviews`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/reviews/android`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/reviews/ios`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/reviews/export`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/app-info`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/app-info/history`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/stats`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/trends`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/insights/topics`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/insights/releases`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/sync`);
+    console.log(`   - http://localhost:${port}/apps/:appKey/alerts`);
+    console.log(`   - http://localhost:${port}/jobs`);
+
+    if (appConfig.settings.scheduler.enabled) {
+      scheduler.start();
+      console.log(`\n⏰ Scheduler started with ${scheduler.jobs.size} jobs`);
+    }
+  });
+}
 
 module.exports = app;
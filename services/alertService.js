@@ -0,0 +1,351 @@
+const path = require('path');
+const axios = require('axios');
+const JsonFile = require('./jsonFile');
+const { parseReviewFilters, matchesFilters } = require('./reviewFilters');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const PLATFORM_NAMES = { android: 'Google Play', ios: 'App Store' };
+
+// Reviews quoted in one webhook message; the payload still reports the full count
+const MAX_REVIEWS_PER_MESSAGE = 10;
+
+// Delivery log entries kept on disk
+const MAX_DELIVERIES = 200;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function stars(rating) {
+  return rating > 0 ? '★'.repeat(rating) + '☆'.repeat(5 - rating) : '-';
+}
+
+/**
+ * Evaluates user-defined alert rules after each sync and delivers matches to webhooks.
+ *
+ * Rule types:
+ *   review  - new reviews of the sync that match `filters` (same syntax as the review routes);
+ *             not on the first sync of a storefront, whose reviews are all new
+ *   average - average rating of the last `days` days is below `below`; fires once when the
+ *             average drops and again only after it has recovered
+ *
+ * Alert state and the delivery log are kept in `alerts.json` under the data directory.
+ */
+class AlertService {
+  /**
+   * @param {Object} deps
+   * @param {ReviewStore} deps.store
+   * @param {Object} deps.config - `alerts` section of config.js
+   * @param {string} deps.dataDir - Directory for alerts.json
+   * @param {Function} [deps.post] - HTTP POST function (axios.post signature)
+   */
+  constructor({ store, config = {}, dataDir, post = axios.post }) {
+    this.store = store;
+    this.post = post;
+    this.retries = config.retries !== undefined ? config.retries : 3;
+    this.retryDelay = config.retryDelay !== undefined ? config.retryDelay : 2000;
+    this.timeout = config.timeout || 10000;
+    this.file = new JsonFile(path.join(dataDir, 'alerts.json'), () => ({ firing: {}, deliveries: [] }), 'alert state');
+
+    // Only webhooks with a URL are active
+    this.configuredWebhooks = Object.keys(config.webhooks || {});
+    this.webhooks = {};
+    Object.entries(config.webhooks || {}).forEach(([name, webhook]) => {
+      if (!webhook || !webhook.url) return;
+      if (!['generic', 'slack', 'teams'].includes(webhook.format || 'generic')) {
+        throw new Error(`Webhook "${name}" has an unknown format: ${webhook.format}`);
+      }
+      this.webhooks[name] = { name, url: webhook.url, format: webhook.format || 'generic' };
+    });
+
+    // Validate rules up front so a typo fails at startup, not after the next sync
+    this.rules = (config.rules || []).map(rule => this.normalizeRule(rule));
+  }
+
+  normalizeRule(rule) {
+    if (!rule.id) {
+      throw new Error('Alert rules need an id');
+    }
+    if (!['review', 'average'].includes(rule.type)) {
+      throw new Error(`Alert rule "${rule.id}" has an unknown type: ${rule.type}`);
+    }
+    if (rule.platform && !PLATFORM_NAMES[rule.platform]) {
+      throw new Error(`Alert rule "${rule.id}" has an unknown platform: ${rule.platform}`);
+    }
+    if (rule.type === 'average' && (typeof rule.below !== 'number' || !(rule.days > 0))) {
+      throw new Error(`Alert rule "${rule.id}" needs numeric "below" and "days"`);
+    }
+    (rule.webhooks || []).forEach(name => {
+      if (!this.configuredWebhooks.includes(name)) {
+        throw new Error(`Alert rule "${rule.id}" refers to unknown webhook "${name}"`);
+      }
+    });
+
+    return Object.assign({}, rule, {
+      description: rule.description || rule.id,
+      filters: rule.type === 'review' ? parseReviewFilters(rule.filters || {}) : null,
+      minReviews: rule.minReviews || 1
+    });
+  }
+
+  /**
+   * Rules that apply to an app
+   */
+  rulesFor(appKey) {
+    return this.rules.filter(rule => !rule.apps || rule.apps.includes(appKey));
+  }
+
+  /**
+   * Evaluate every rule of an app after a sync and deliver the alerts that fired
+   * @param {Object} entry - App entry from the AppRegistry
+   * @param {Object} summary - Sync summary
+   * @param {Array<string>} [addedIds] - IDs of the reviews the sync stored; review rules only look
+   *   at these, so syncs of other storefronts running at the same time do not alert on them twice
+   * @returns {Promise<Array>} One result per fired rule with its delivery outcomes
+   */
+  async evaluate(entry, summary, addedIds = []) {
+    const results = [];
+    const syncedBefore = await this.syncedStorefronts(entry.key, summary);
+
+    for (const rule of this.rulesFor(entry.key)) {
+      const alert = rule.type === 'review' ?
+        await this.evaluateReviewRule(rule, entry, new Set(addedIds), syncedBefore) :
+        await this.evaluateAverageRule(rule, entry);
+
+      if (!alert) continue;
+
+      console.log(`🔔 Alert "${rule.id}" fired for ${entry.key}`);
+      const deliveries = await this.deliver(alert, rule.webhooks);
+      results.push({
+        rule: rule.id,
+        type: rule.type,
+        matches: alert.total,
+        deliveries: deliveries.map(delivery => ({ webhook: delivery.webhook, status: delivery.status }))
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Platform and storefront country pairs (e.g. 'Google Play|TR') that a sync before this one
+   * fetched successfully. On the first sync of a storefront every stored review is new, and
+   * alerting on that backfill would flood the webhooks.
+   */
+  async syncedStorefronts(appKey, summary) {
+    const synced = new Set();
+
+    (await this.store.getSyncs(appKey))
+      .filter(sync => sync.started_at < summary.started_at)
+      .forEach(sync => Object.entries(sync.storefronts || {}).forEach(([storefront, results]) => {
+        Object.entries(PLATFORM_NAMES).forEach(([key, name]) => {
+          const result = results[key];
+          if (result && result.success && !result.skipped) synced.add(`${name}|${storefront.split(':')[0]}`);
+        });
+      }));
+
+    return synced;
+  }
+
+  async evaluateReviewRule(rule, entry, added, syncedBefore) {
+    if (added.size === 0) return null;
+
+    const reviews = await this.store.getReviews(entry.key, {
+      platform: rule.platform ? PLATFORM_NAMES[rule.platform] : null,
+      filter: review => added.has(review.id) &&
+        syncedBefore.has(`${review.platform}|${review.country}`) &&
+        matchesFilters(review, rule.filters)
+    });
+
+    if (reviews.length === 0) return null;
+
+    return this.buildAlert(rule, entry, {
+      total: reviews.length,
+      reviews: reviews.slice(0, MAX_REVIEWS_PER_MESSAGE)
+    });
+  }
+
+  async evaluateAverageRule(rule, entry, now = new Date()) {
+    const since = new Date(now.getTime() - rule.days * DAY);
+    const reviews = await this.store.getReviews(entry.key, {
+      platform: rule.platform ? PLATFORM_NAMES[rule.platform] : null,
+      filter: review => review.date && new Date(review.date) >= since && review.rating >= 1
+    });
+
+    const key = `${rule.id}:${entry.key}`;
+    const average = reviews.length > 0 ?
+      Math.round((reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length) * 100) / 100 :
+      null;
+    const breached = reviews.length >= rule.minReviews && average < rule.below;
+
+    // Alert on the transition only, so a bad week does not page on every sync
+    const fired = await this.file.update(state => {
+      const wasFiring = Boolean(state.firing[key]);
+      if (!breached) {
+        delete state.firing[key];
+        return false;
+      }
+      if (wasFiring) return false;
+      state.firing[key] = now.toISOString();
+      return true;
+    });
+    if (!fired) return null;
+
+    return this.buildAlert(rule, entry, {
+      total: reviews.length,
+      metric: { average_rating: average, threshold: rule.below, days: rule.days, review_count: reviews.length }
+    });
+  }
+
+  buildAlert(rule, entry, details) {
+    return Object.assign({
+      app: entry.key,
+      app_name: entry.name,
+      rule: { id: rule.id, type: rule.type, description: rule.description },
+      platform: rule.platform || 'all',
+      triggered_at: new Date().toISOString(),
+      reviews: []
+    }, details);
+  }
+
+  /**
+   * Send an alert to the rule's webhooks (all active webhooks when the rule names none)
+   * @returns {Promise<Array>} Delivery log entries
+   */
+  async deliver(alert, webhookNames) {
+    const targets = (webhookNames || Object.keys(this.webhooks))
+      .map(name => this.webhooks[name])
+      .filter(Boolean);
+
+    const deliveries = [];
+    for (const webhook of targets) {
+      deliveries.push(await this.deliverTo(webhook, alert));
+    }
+
+    await this.file.update(state => {
+      state.deliveries = deliveries.concat(state.deliveries).slice(0, MAX_DELIVERIES);
+    });
+    return deliveries;
+  }
+
+  /**
+   * POST one alert to one webhook, retrying network errors, 429 and 5xx with exponential backoff
+   */
+  async deliverTo(webhook, alert) {
+    const entry = {
+      at: new Date().toISOString(),
+      app: alert.app,
+      rule: alert.rule.id,
+      webhook: webhook.name,
+      format: webhook.format,
+      status: 'failed',
+      attempts: 0,
+      response_status: null,
+      error: null
+    };
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      entry.attempts = attempt + 1;
+      try {
+        const response = await this.post(webhook.url, this.formatPayload(webhook.format, alert), {
+          timeout: this.timeout,
+          headers: { 'Content-Type': 'application/json' }
+        });
+        entry.status = 'delivered';
+        entry.response_status = response.status;
+        entry.error = null;
+        return entry;
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        entry.response_status = status;
+        entry.error = error.message;
+
+        const retryable = status === null || status === 429 || status >= 500;
+        if (!retryable || attempt === this.retries) break;
+
+        await delay(this.retryDelay * Math.pow(2, attempt));
+      }
+    }
+
+    console.error(`Alert delivery to ${webhook.name} failed after ${entry.attempts} attempts: ${entry.error}`);
+    return entry;
+  }
+
+  /**
+   * Text summary shared by the Slack and Teams payloads
+   */
+  describe(alert) {
+    const title = `[${alert.app_name}] ${alert.rule.description}`;
+
+    if (alert.rule.type === 'test') {
+      return { title, lines: ['Webhook bağlantısı çalışıyor.'] };
+    }
+
+    if (alert.metric) {
+      return {
+        title,
+        lines: [`Son ${alert.metric.days} gün ortalaması ${alert.metric.average_rating} ` +
+          `(eşik ${alert.metric.threshold}, ${alert.metric.review_count} yorum)`]
+      };
+    }
+
+    const lines = alert.reviews.map(review =>
+      `${stars(review.rating)} ${review.platform} (${review.version || '-'}): ${review.content.slice(0, 200)}`
+    );
+    if (alert.total > alert.reviews.length) {
+      lines.push(`... ve ${alert.total - alert.reviews.length} yorum daha`);
+    }
+    return { title: `${title} (${alert.total} yeni yorum)`, lines };
+  }
+
+  formatPayload(format, alert) {
+    if (format === 'slack') {
+      const { title, lines } = this.describe(alert);
+      return {
+        text: `🔔 ${title}`,
+        blocks: [
+          { type: 'header', text: { type: 'plain_text', text: title.slice(0, 150) } },
+          { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n').slice(0, 3000) } }
+        ]
+      };
+    }
+
+    if (format === 'teams') {
+      const { title, lines } = this.describe(alert);
+      return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: title,
+        themeColor: 'D70000',
+        title: `🔔 ${title}`,
+        text: lines.join('\n\n')
+      };
+    }
+
+    return Object.assign({ event: 'alert' }, alert);
+  }
+
+  /**
+   * Recent deliveries, newest first
+   * @param {string} [appKey] - Only deliveries for this app
+   */
+  async getDeliveryLog(appKey, limit = 50) {
+    const state = await this.file.read();
+    return state.deliveries
+      .filter(delivery => !appKey || delivery.app === appKey)
+      .slice(0, limit);
+  }
+
+  /**
+   * Send a test alert to every active webhook (or one of them)
+   */
+  async sendTest(entry, webhookName) {
+    const alert = this.buildAlert({ id: 'test', type: 'test', description: 'Test alert' }, entry, {
+      total: 0
+    });
+    return this.deliver(alert, webhookName ? [webhookName] : null);
+  }
+}
+
+module.exports = AlertService;
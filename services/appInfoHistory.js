@@ -0,0 +1,164 @@
+const path = require('path');
+const JsonFile = require('./jsonFile');
+const { parseReviewDate } = require('./dateParser');
+
+// Snapshots kept per app; at four scheduled runs a day this covers years
+const MAX_SNAPSHOTS = 20000;
+
+/**
+ * Parse a store count such as 12345, "12,345", "12.345" or "1,000,000+".
+ * Abbreviated counts ("10 Mn+") are ambiguous and give null.
+ */
+function parseCount(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? Math.round(value) : null;
+  if (typeof value !== 'string' || !/^\s*\d[\d.,\s]*\+?\s*$/.test(value)) return null;
+  return parseInt(value.replace(/\D/g, ''), 10);
+}
+
+function parseRating(value) {
+  const rating = parseFloat(value);
+  // The services report '0' when the listing has no rating yet
+  return rating > 0 && rating <= 5 ? Math.round(rating * 1000) / 1000 : null;
+}
+
+/**
+ * Reduce a getAppInfo result to the fields tracked over time
+ * @param {Object} info - GooglePlayService/AppStoreService getAppInfo result
+ */
+function toSnapshot(info) {
+  return {
+    rating: parseRating(info.rating),
+    reviews_count: parseCount(info.reviews_count),
+    installs: info.installs || null,
+    installs_min: info.installs ? parseCount(info.installs) : null,
+    version: info.version || null,
+    updated: info.updated ? parseReviewDate(info.updated).date : null
+  };
+}
+
+/**
+ * Changes between consecutive snapshots of one platform and storefront: a new version,
+ * a change of the rating as the store shows it (one decimal) and a new install tier
+ */
+function detectChanges(snapshots) {
+  const changes = [];
+
+  for (let i = 1; i < snapshots.length; i++) {
+    const previous = snapshots[i - 1];
+    const current = snapshots[i];
+    const change = (type, from, to) => changes.push({ type, at: current.taken_at, from, to });
+
+    if (previous.version && current.version && previous.version !== current.version) {
+      change('version', previous.version, current.version);
+    }
+    if (previous.rating !== null && current.rating !== null &&
+      previous.rating.toFixed(1) !== current.rating.toFixed(1)) {
+      change('rating', previous.rating, current.rating);
+    }
+    if (previous.installs_min !== null && current.installs_min !== null &&
+      current.installs_min > previous.installs_min) {
+      change('installs', previous.installs, current.installs);
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * File-backed history of app listing snapshots (rating, review count, installs, version).
+ * Each app gets `<appKey>.app-info.json` under the data directory.
+ */
+class AppInfoHistory {
+  /**
+   * @param {string} dataDir - Directory where the history files are kept
+   */
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.files = new Map(); // appKey -> JsonFile
+  }
+
+  file(appKey) {
+    if (!this.files.has(appKey)) {
+      this.files.set(appKey, new JsonFile(
+        path.join(this.dataDir, `${appKey}.app-info.json`),
+        () => ({ snapshots: [] }),
+        `app info history for ${appKey}`
+      ));
+    }
+    return this.files.get(appKey);
+  }
+
+  /**
+   * Store a snapshot of a getAppInfo result
+   * @param {string} appKey - Registered app key
+   * @param {Object} details - `{platform, storefront, source}`: 'android'/'ios', storefront key
+   *   (e.g. 'TR:tr') and what took the snapshot ('request' or 'schedule')
+   * @param {Object} info - getAppInfo result
+   * @returns {Promise<Object>} The stored snapshot
+   */
+  async record(appKey, details, info) {
+    const snapshot = Object.assign({
+      taken_at: new Date().toISOString(),
+      platform: details.platform,
+      storefront: details.storefront,
+      source: details.source
+    }, toSnapshot(info));
+
+    await this.file(appKey).update(state => {
+      state.snapshots.push(snapshot);
+      state.snapshots = state.snapshots.slice(-MAX_SNAPSHOTS);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Snapshot time series per platform and storefront, with the changes between them
+   * @param {string} appKey - Registered app key
+   * @param {Object} [options]
+   * @param {string} [options.platform] - 'android' or 'ios'
+   * @param {Array} [options.countries] - Only storefronts of these countries
+   * @param {Date} [options.since] - Only snapshots taken at or after this time
+   * @param {Date} [options.until] - Only snapshots taken at or before this time
+   * @returns {Promise<Array>} One series per platform and storefront
+   */
+  async getHistory(appKey, options = {}) {
+    const state = await this.file(appKey).read();
+
+    const groups = new Map();
+    state.snapshots.forEach(snapshot => {
+      if (options.platform && snapshot.platform !== options.platform) return;
+      if (options.countries && !options.countries.includes(snapshot.storefront.split(':')[0])) return;
+
+      const key = `${snapshot.platform}|${snapshot.storefront}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(snapshot);
+    });
+
+    return Array.from(groups.values()).map(all => {
+      // Changes are detected on the full series so the first snapshot in the window
+      // is still compared with the one before it
+      const inWindow = snapshot =>
+        (!options.since || new Date(snapshot.taken_at) >= options.since) &&
+        (!options.until || new Date(snapshot.taken_at) <= options.until);
+      const snapshots = all.filter(inWindow);
+
+      return {
+        platform: all[0].platform,
+        storefront: all[0].storefront,
+        snapshot_count: snapshots.length,
+        latest: snapshots.length > 0 ? snapshots[snapshots.length - 1] : null,
+        changes: detectChanges(all).filter(change => inWindow({ taken_at: change.at })),
+        snapshots: snapshots.map(snapshot => ({
+          taken_at: snapshot.taken_at,
+          source: snapshot.source,
+          rating: snapshot.rating,
+          reviews_count: snapshot.reviews_count,
+          installs: snapshot.installs,
+          version: snapshot.version
+        }))
+      };
+    }).filter(series => series.snapshot_count > 0);
+  }
+}
+
+module.exports = AppInfoHistory;
@@ -0,0 +1,93 @@
+/**
+ * Key identifying a storefront, e.g. 'TR:tr'
+ */
+function storefrontKey(storefront) {
+  return `${storefront.country}:${storefront.language}`;
+}
+
+class AppRegistry {
+  /**
+   * @param {Object} config - Application config (see config.js)
+   */
+  constructor(config) {
+    this.defaultKey = config.defaultApp;
+    this.settings = config.settings;
+    this.apps = new Map();
+
+    Object.entries(config.apps || {}).forEach(([key, entry]) => {
+      this.apps.set(key, this.normalizeEntry(key, entry));
+    });
+
+    if (this.defaultKey && !this.apps.has(this.defaultKey)) {
+      throw new Error(`Default app "${this.defaultKey}" is not registered`);
+    }
+  }
+
+  /**
+   * Fill in defaults so routes can rely on every field being present
+   */
+  normalizeEntry(key, entry) {
+    const countries = entry.countries && entry.countries.length > 0 ?
+      entry.countries : [this.settings.country];
+    const languages = entry.languages && entry.languages.length > 0 ?
+      entry.languages : [this.settings.language];
+
+    // Explicit storefronts win, otherwise pair each country with the language at the same position
+    const storefronts = (entry.storefronts && entry.storefronts.length > 0 ?
+      entry.storefronts :
+      countries.map((country, index) => ({ country, language: languages[index] || languages[0] })))
+      .map(storefront => ({
+        country: storefront.country.toUpperCase(),
+        language: storefront.language.toLowerCase()
+      }));
+
+    return {
+      key: key,
+      name: entry.name || key,
+      android: entry.android || null,
+      ios: entry.ios || null,
+      countries: Array.from(new Set(storefronts.map(storefront => storefront.country))),
+      languages: Array.from(new Set(storefronts.map(storefront => storefront.language))),
+      storefronts: storefronts,
+      country: storefronts[0].country,
+      language: storefronts[0].language,
+      schedule: entry.schedule || []
+    };
+  }
+
+  /**
+   * Get a registered app by key, falling back to the default app
+   * @param {string} [key] - App key (e.g., 'koton')
+   * @returns {Object|null} Normalized app entry or null if unknown
+   */
+  get(key) {
+    return this.apps.get(key || this.defaultKey) || null;
+  }
+
+  /**
+   * List registered app keys
+   */
+  keys() {
+    return Array.from(this.apps.keys());
+  }
+
+  /**
+   * Public summary of every registered app
+   */
+  list() {
+    return Array.from(this.apps.values()).map(entry => ({
+      key: entry.key,
+      name: entry.name,
+      android_package: entry.android ? entry.android.packageId : null,
+      ios_app_id: entry.ios ? entry.ios.appId : null,
+      countries: entry.countries,
+      languages: entry.languages,
+      storefronts: entry.storefronts.map(storefrontKey),
+      default: entry.key === this.defaultKey
+    }));
+  }
+}
+
+AppRegistry.storefrontKey = storefrontKey;
+
+module.exports = AppRegistry;
@@ -1,8 +1,29 @@
-const axios = require('axios');
+const HttpClient = require('./httpClient');
+const { SourceHealth } = require('./sourceHealth');
+const { stableReviewId } = require('./reviewIdentity');
+const { normalizeReviews } = require('./reviewSchema');
+const { ParseError, NotFoundError, classifyError, toWarning } = require('./storeErrors');
+
+// The customer reviews RSS feed serves at most 10 pages of 50 reviews
+const MAX_RSS_PAGES = 10;
+
+// Source names reported in responses and /health/sources
+const SOURCES = {
+  rss: 'app_store.rss',
+  lookup: 'app_store.lookup'
+};
 
 class AppStoreService {
-  constructor() {
-    this.baseUrl = 'https://itunes.apple.com';
+  /**
+   * @param {Object} [deps]
+   * @param {HttpClient} [deps.httpClient] - Shared client; pass one so limits apply across services
+   * @param {SourceHealth} [deps.sourceHealth] - Shared source health and circuit breakers
+   * @param {string} [deps.baseUrl] - iTunes origin for the RSS feed and lookup API
+   */
+  constructor({ httpClient, sourceHealth, baseUrl } = {}) {
+    this.baseUrl = baseUrl || 'https://itunes.apple.com';
+    this.http = httpClient || new HttpClient();
+    this.health = sourceHealth || new SourceHealth();
   }
 
   /**
@@ -10,52 +31,105 @@ class AppStoreService {
    * @param {string} appId - iOS App ID (e.g., 1436987707)
    * @param {string} country - Country code (e.g., 'tr' for Turkey)
    * @param {number} limit - Maximum number of reviews to fetch
+   * @param {string} [language] - Review language for this storefront (defaults to the country code)
    * @returns {Promise<Array>} Array of review objects
    */
-  async fetchReviews(appId, country = 'tr', limit = 100) {
+  async fetchReviews(appId, country = 'tr', limit = 100, language = null) {
+    const result = await this.fetchReviewsFrom(appId, country, limit, null, language);
+    return result.reviews;
+  }
+
+  /**
+   * Fetch reviews starting at an RSS feed position
+   * @param {string} appId - iOS App ID (e.g., 1436987707)
+   * @param {string} country - Country code (e.g., 'tr' for Turkey)
+   * @param {number} limit - Maximum number of reviews to fetch
+   * @param {Object|null} position - Position returned as `next` by a previous call, null for the newest reviews
+   * @param {string} [language] - Review language for this storefront (defaults to the country code)
+   * @returns {Promise<{reviews: Array, next: Object|null, rejected: Array, source: string, warnings: Array}>}
+   *   Valid reviews, the position of the following page, the reviews that failed schema validation, the source
+   *   used and a warning when a later page failed
+   * @throws {StoreError} When the first page failed (typed: network, blocked, parse_failure...)
+   */
+  async fetchReviewsFrom(appId, country = 'tr', limit = 100, position = null, language = null) {
     try {
       console.log(`Fetching App Store reviews for app ID ${appId} in ${country}...`);
-      
+
       const reviews = [];
-      let page = 1;
-      const maxPages = Math.ceil(limit / 50); // App Store returns max 50 reviews per page
+      const warnings = [];
+      let page = position ? position.page : 1;
+      let skip = position ? position.skip || 0 : 0;
+
+      while (reviews.length < limit && page <= MAX_RSS_PAGES) {
+        let pageReviews;
+        try {
+          pageReviews = await this.fetchReviewsPage(appId, country, page, language);
+        } catch (error) {
+          if (reviews.length === 0) throw error;
+          // Keep what loaded; `next` stays on the failed page so the next call retries it
+          console.error(`Error fetching page ${page}, returning ${reviews.length} reviews:`, error.message);
+          warnings.push(toWarning(error, { source: SOURCES.rss }));
+          break;
+        }
 
-      while (reviews.length < limit && page <= maxPages) {
-        const pageReviews = await this.fetchReviewsPage(appId, country, page);
-        
-        if (pageReviews.length === 0) {
-          break; // No more reviews available
+        if (pageReviews.length <= skip) {
+          page = MAX_RSS_PAGES + 1; // No more reviews available
+          break;
         }
 
-        reviews.push(...pageReviews.slice(0, limit - reviews.length));
-        page++;
+        const taken = pageReviews.slice(skip, skip + limit - reviews.length);
+        reviews.push(...taken);
+
+        // Stay on this page if it still has reviews we did not hand out
+        if (skip + taken.length < pageReviews.length) {
+          skip += taken.length;
+        } else {
+          page++;
+          skip = 0;
+        }
       }
 
       console.log(`Fetched ${reviews.length} reviews from App Store`);
-      return reviews;
+      const normalized = normalizeReviews(reviews);
+
+      return {
+        reviews: normalized.reviews,
+        next: page <= MAX_RSS_PAGES ? { page, skip } : null,
+        rejected: normalized.rejected,
+        source: SOURCES.rss,
+        warnings: warnings
+      };
 
     } catch (error) {
       console.error('Error fetching App Store reviews:', error.message);
-      throw new Error(`Failed to fetch App Store reviews: ${error.message}`);
+      throw classifyError(error, 'Failed to fetch App Store reviews');
     }
   }
 
   /**
-   * Fetch reviews for a specific page
+   * Fetch reviews for a specific page, tracked by the RSS source's circuit breaker
+   * @throws {StoreError} When the feed failed for another reason than the page not existing
    */
-  async fetchReviewsPage(appId, country, page) {
+  fetchReviewsPage(appId, country, page, language = null) {
+    return this.health.run(SOURCES.rss, () => this.fetchRssPage(appId, country, page, language),
+      reviews => reviews.length === 0);
+  }
+
+  async fetchRssPage(appId, country, page, language) {
     try {
+      const reviewLanguage = (language || country).toLowerCase();
+
       // Use iTunes RSS feed for customer reviews
-      const url = `${this.baseUrl}/${country}/rss/customerreviews/page=${page}/id=${appId}/sortby=mostrecent/json`;
+      const url = `${this.baseUrl}/${country.toLowerCase()}/rss/customerreviews/page=${page}/id=${appId}/sortby=mostrecent/json`;
       
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        },
-        timeout: 10000
-      });
-
-      if (!response.data || !response.data.feed || !response.data.feed.entry) {
+      const response = await this.http.get(url, { timeout: 10000 });
+
+      // An HTML error page instead of the JSON feed
+      if (!response.data || typeof response.data !== 'object') {
+        throw new ParseError(`Expected a JSON feed, got ${typeof response.data}`);
+      }
+      // A feed without entries: no (more) reviews
+      if (!response.data.feed || !response.data.feed.entry) {
         return [];
       }
 
@@ -68,7 +142,10 @@ class AppStoreService {
         
         if (entry && entry.content && entry.content.label) {
           const review = {
-            id: `as_${entry.id.label}`,
+            id: stableReviewId('as', entry.id && entry.id.label, {
+              author: entry.author ? entry.author.name.label : '',
+              content: entry.content.label
+            }),
             platform: 'App Store',
             author: entry.author ? entry.author.name.label : 'Anonymous',
             rating: entry['im:rating'] ? parseInt(entry['im:rating'].label) : 0,
@@ -76,52 +153,37 @@ class AppStoreService {
             content: entry.content.label,
             date: entry.updated ? entry.updated.label : '',
             version: entry['im:version'] ? entry['im:version'].label : '',
-            language: country
+            // Storefront language; normalizeReview replaces it with the detected language
+            language: reviewLanguage,
+            country: country.toUpperCase()
           };
 
-          // Filter for Turkish content if possible
-          if (this.isTurkishContent(review.content) || country === 'tr') {
-            reviews.push(review);
-          }
+          reviews.push(review);
         }
       }
 
       return reviews;
 
     } catch (error) {
-      if (error.response && error.response.status === 404) {
+      if (error instanceof NotFoundError) {
         console.log(`No reviews found for page ${page}`);
         return [];
       }
-      
-      console.error(`Error fetching page ${page}:`, error.message);
-      return [];
-    }
-  }
 
-  /**
-   * Simple Turkish content detection
-   */
-  isTurkishContent(text) {
-    // Check for Turkish characters and common Turkish words
-    const turkishChars = /[çğıöşüÇĞIİÖŞÜ]/;
-    const turkishWords = /\b(ve|bir|bu|için|ile|den|var|yok|çok|iyi|kötü|güzel|uygulama|oyun)\b/i;
-    
-    return turkishChars.test(text) || turkishWords.test(text);
+      throw classifyError(error, `App Store RSS page ${page} failed`);
+    }
   }
 
   /**
    * Get app information from App Store
+   * @returns {Promise<Object>} App info tagged with its `source`
+   * @throws {StoreError} When the lookup failed or the app is not in this storefront
    */
   async getAppInfo(appId, country = 'tr') {
     try {
       const url = `${this.baseUrl}/lookup?id=${appId}&country=${country}`;
       
-      const response = await axios.get(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
-      });
+      const response = await this.health.run(SOURCES.lookup, () => this.http.get(url, { timeout: 10000 }));
 
       if (response.data && response.data.results && response.data.results.length > 0) {
         const app = response.data.results[0];
@@ -136,15 +198,16 @@ class AppStoreService {
           category: app.primaryGenreName,
           updated: app.currentVersionReleaseDate,
           description: app.description,
-          app_store_url: app.trackViewUrl
+          app_store_url: app.trackViewUrl,
+          source: SOURCES.lookup
         };
       }
 
-      return null;
+      throw new NotFoundError(`App ${appId} is not on the ${country.toUpperCase()} App Store`);
 
     } catch (error) {
       console.error('Error fetching app info:', error.message);
-      return null;
+      throw classifyError(error, 'App Store lookup failed');
     }
   }
 
@@ -155,7 +218,7 @@ class AppStoreService {
     try {
       const url = `${this.baseUrl}/search?term=${encodeURIComponent(term)}&country=${country}&media=software&limit=${limit}`;
       
-      const response = await axios.get(url);
+      const response = await this.http.get(url, { timeout: 10000 });
 
       if (response.data && response.data.results) {
         return response.data.results.map(app => ({
@@ -169,46 +232,11 @@ class AppStoreService {
         }));
       }
 
-      return [];
+      throw new ParseError('App Store search returned no results list');
 
     } catch (error) {
       console.error('Error searching apps:', error.message);
-      return [];
-    }
-  }
-
-  /**
-   * Get reviews summary and statistics
-   */
-  async getReviewsStats(appId, country = 'tr') {
-    try {
-      const appInfo = await this.getAppInfo(appId, country);
-      const reviews = await this.fetchReviews(appId, country, 50); // Sample for stats
-
-      if (!appInfo) {
-        return null;
-      }
-
-      const stats = {
-        total_reviews: appInfo.reviews_count,
-        average_rating: appInfo.rating,
-        sample_size: reviews.length,
-        rating_distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
-        recent_reviews: reviews.slice(0, 5)
-      };
-
-      // Calculate rating distribution from sample
-      reviews.forEach(review => {
-        if (review.rating >= 1 && review.rating <= 5) {
-          stats.rating_distribution[review.rating]++;
-        }
-      });
-
-      return stats;
-
-    } catch (error) {
-      console.error('Error getting reviews stats:', error.message);
-      return null;
+      throw classifyError(error, 'App Store search failed');
     }
   }
 }
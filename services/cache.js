@@ -0,0 +1,197 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * In-memory entries, evicting the least recently used one when full
+ */
+class MemoryBackend {
+  constructor(maxEntries = 500) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // key -> entry, in least recently used order
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry || null;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * One JSON file per entry, so cached scrapes survive a restart
+ */
+class DiskBackend {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    try {
+      const entry = JSON.parse(await fs.readFile(this.filePath(key), 'utf8'));
+      // Guard against hash collisions
+      return entry.key === key ? entry : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    const target = this.filePath(key);
+    const tmp = `${target}.${process.pid}.tmp`;
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(tmp, JSON.stringify(entry));
+    await fs.rename(tmp, target);
+  }
+
+  async delete(key) {
+    await fs.unlink(this.filePath(key)).catch(() => {});
+  }
+}
+
+/**
+ * TTL cache for store scrapes and computed responses. Entries live in memory and,
+ * when a directory is configured, on disk as well. Concurrent misses for the same key
+ * share one call, so a burst of identical requests scrapes the store once.
+ */
+class Cache {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.enabled] - False turns every lookup into a miss
+   * @param {number} [options.maxEntries] - Entries kept in memory
+   * @param {string} [options.dir] - Directory for the on-disk backend, memory only when omitted
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.memory = new MemoryBackend(options.maxEntries);
+    this.disk = options.dir ? new DiskBackend(options.dir) : null;
+    this.pending = new Map(); // key -> in-flight load promise
+    this.stats = { hits: 0, misses: 0, refreshes: 0 };
+  }
+
+  /**
+   * Fresh entry for a key, or null
+   * @returns {Promise<{value: *, cached_at: string, expires_at: string}|null>}
+   */
+  async get(key) {
+    let entry = await this.memory.get(key);
+
+    if (!entry && this.disk) {
+      entry = await this.disk.get(key);
+      if (entry) await this.memory.set(key, entry);
+    }
+
+    if (entry && new Date(entry.expires_at) <= new Date()) {
+      await this.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async set(key, value, ttl) {
+    const now = new Date();
+    const entry = {
+      key,
+      value,
+      cached_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + ttl * 1000).toISOString()
+    };
+
+    await this.memory.set(key, entry);
+    if (this.disk) {
+      // A full disk should not fail the request; the memory copy still serves
+      await this.disk.set(key, entry).catch(error => console.error('Cache write failed:', error.message));
+    }
+    return entry;
+  }
+
+  async delete(key) {
+    await this.memory.delete(key);
+    if (this.disk) await this.disk.delete(key);
+  }
+
+  /**
+   * Return the cached value for a key, or load, cache and return it
+   * @param {string} key - Cache key
+   * @param {number} ttl - Seconds a loaded value stays fresh
+   * @param {Function} load - Async function producing the value
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh] - Skip the lookup and reload
+   * @param {Function} [options.cacheable] - Predicate deciding whether a loaded value is kept
+   *   (e.g. not a failed scrape)
+   * @returns {Promise<{value: *, cached_at: string, hit: boolean}>}
+   */
+  async wrap(key, ttl, load, options = {}) {
+    if (!this.enabled || ttl <= 0) {
+      return { value: await load(), cached_at: new Date().toISOString(), hit: false };
+    }
+
+    if (options.refresh) {
+      this.stats.refreshes++;
+    } else {
+      const entry = await this.get(key);
+      if (entry) {
+        this.stats.hits++;
+        return { value: entry.value, cached_at: entry.cached_at, hit: true };
+      }
+      if (this.pending.has(key)) {
+        return this.pending.get(key);
+      }
+    }
+
+    this.stats.misses++;
+    const cacheable = options.cacheable || (() => true);
+    const run = (async () => {
+      const value = await load();
+      if (!cacheable(value)) {
+        return { value, cached_at: new Date().toISOString(), hit: false };
+      }
+      const entry = await this.set(key, value, ttl);
+      return { value, cached_at: entry.cached_at, hit: false };
+    })().finally(() => {
+      this.pending.delete(key);
+    });
+
+    this.pending.set(key, run);
+    return run;
+  }
+}
+
+/**
+ * Stable cache key part for an object (filters, positions): keys sorted, dates as ISO strings
+ */
+function keyPart(value) {
+  if (value === null || value === undefined) return '-';
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return `[${value.map(keyPart).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(name => `${name}:${keyPart(value[name])}`).join(',')}}`;
+  }
+  return String(value);
+}
+
+module.exports = {
+  Cache,
+  keyPart
+};
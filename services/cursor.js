@@ -0,0 +1,107 @@
+// Opaque pagination cursors shared by every review route.
+//
+// A cursor wraps the paging state of both platforms:
+//   s - source the pages come from ('store' or 'live')
+//   a - Google Play position (store: `{date, id}` of the last review returned; live: gplay
+//       pagination token or internal API page)
+//   i - App Store position (store: `{date, id}` of the last review returned; live: iTunes RSS page)
+// A platform position of `null` means "start from the newest review",
+// `false` means the platform has no more pages.
+
+const SOURCES = ['store', 'live'];
+
+class InvalidCursorError extends Error {
+  constructor(message = 'Invalid cursor') {
+    super(message);
+    this.name = 'InvalidCursorError';
+  }
+}
+
+/**
+ * Encode paging state as a URL-safe opaque string
+ * @param {Object} state - { s, a, i }
+ * @returns {string|null} Cursor, or null when both platforms are exhausted
+ */
+function encodeCursor(state) {
+  if (state.a === false && state.i === false) {
+    return null;
+  }
+  return Buffer.from(JSON.stringify(state), 'utf8').toString('base64url');
+}
+
+// A store position is the (date, id) of the last review of the previous page
+function isStorePosition(position) {
+  return position === undefined || position === null || position === false || (
+    typeof position === 'object' && typeof position.id === 'string' &&
+    (position.date === null || typeof position.date === 'string')
+  );
+}
+
+const isCount = value => Number.isInteger(value) && value >= 0;
+
+// A live position keeps one position per storefront key (e.g. 'TR:tr'): a gplay pagination
+// token `{token}`, or the page of the internal API / iTunes RSS feed `{page, skip}`
+function isLivePosition(position) {
+  if (position === undefined || position === null || position === false) return true;
+  if (typeof position !== 'object' || Array.isArray(position)) return false;
+
+  return Object.values(position).every(storefront =>
+    storefront === null || storefront === false || (
+      typeof storefront === 'object' && (
+        (typeof storefront.token === 'string' && storefront.token !== '') ||
+        (isCount(storefront.page) && (storefront.skip === undefined || isCount(storefront.skip)))
+      )
+    )
+  );
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor from a previous response
+ * @returns {Object} Paging state { s, a, i }
+ * @throws {InvalidCursorError} When the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+
+  if (!state || typeof state !== 'object' || !SOURCES.includes(state.s)) {
+    throw new InvalidCursorError();
+  }
+  if (![state.a, state.i].every(state.s === 'store' ? isStorePosition : isLivePosition)) {
+    throw new InvalidCursorError();
+  }
+
+  return {
+    s: state.s,
+    a: state.a === undefined ? null : state.a,
+    i: state.i === undefined ? null : state.i
+  };
+}
+
+/**
+ * Paging state for a request: decoded from ?cursor= or a fresh one for ?source=
+ */
+function cursorFromQuery(query) {
+  if (query.cursor) {
+    return decodeCursor(query.cursor);
+  }
+
+  const source = query.source || 'store';
+  if (!SOURCES.includes(source)) {
+    throw new InvalidCursorError(`Invalid source: ${source} (expected ${SOURCES.join(' or ')})`);
+  }
+
+  return { s: source, a: null, i: null };
+}
+
+module.exports = {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  cursorFromQuery
+};
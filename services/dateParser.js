@@ -0,0 +1,162 @@
+// Review date parsing for the formats the stores show on their pages:
+// ISO timestamps, Date objects, epoch seconds, "12 Mart 2024", "March 12, 2024",
+// "12.03.2024" and relative dates such as "2 gün önce" or "3 days ago".
+
+// Month names and abbreviations, folded to ASCII (see foldText)
+const MONTHS = {
+  1: ['ocak', 'oca', 'january', 'jan', 'januar', 'januari', 'yanvar', 'yan'],
+  2: ['subat', 'sub', 'february', 'feb', 'februar', 'februari', 'fevral', 'fev'],
+  3: ['mart', 'mar', 'march', 'marz', 'maart', 'mrt'],
+  4: ['nisan', 'nis', 'april', 'apr', 'aprel'],
+  5: ['mayis', 'may', 'mai', 'mei'],
+  6: ['haziran', 'haz', 'june', 'jun', 'juni', 'iyun'],
+  7: ['temmuz', 'tem', 'july', 'jul', 'juli', 'iyul'],
+  8: ['agustos', 'agu', 'august', 'aug', 'augustus', 'avqust', 'avq'],
+  9: ['eylul', 'eyl', 'september', 'sep', 'sept', 'sentyabr', 'sen'],
+  10: ['ekim', 'eki', 'october', 'oct', 'oktober', 'okt', 'oktyabr'],
+  11: ['kasim', 'kas', 'november', 'nov', 'noyabr', 'noy'],
+  12: ['aralik', 'ara', 'december', 'dec', 'dezember', 'dez', 'dekabr', 'dek']
+};
+
+const MONTH_LOOKUP = Object.entries(MONTHS).reduce((acc, [month, names]) => {
+  names.forEach(name => { acc[name] = parseInt(month); });
+  return acc;
+}, {});
+
+// Relative units in milliseconds
+const DAY = 24 * 60 * 60 * 1000;
+const RELATIVE_UNITS = {
+  saniye: 1000, second: 1000, sec: 1000,
+  dakika: 60 * 1000, minute: 60 * 1000, min: 60 * 1000,
+  saat: 60 * 60 * 1000, hour: 60 * 60 * 1000,
+  gun: DAY, day: DAY,
+  hafta: 7 * DAY, week: 7 * DAY,
+  ay: 30 * DAY, month: 30 * DAY,
+  yil: 365 * DAY, year: 365 * DAY
+};
+
+const NUMBER_WORDS = { bir: 1, a: 1, an: 1, one: 1, iki: 2, two: 2, uc: 3, three: 3 };
+
+/**
+ * Lowercase and strip Turkish diacritics so "Şubat", "ŞUBAT" and "subat" all match
+ */
+function foldText(text) {
+  return String(text)
+    .replace(/İ/g, 'i')
+    .replace(/I/g, 'i')
+    .toLowerCase()
+    .replace(/ı/g, 'i')
+    .replace(/ş/g, 's')
+    .replace(/ğ/g, 'g')
+    .replace(/[üû]/g, 'u')
+    .replace(/ö/g, 'o')
+    .replace(/ç/g, 'c')
+    .replace(/ä/g, 'a')
+    .replace(/ə/g, 'e')
+    .trim();
+}
+
+function utcDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject overflow such as 31 February
+  return date.getUTCDate() === day ? date : null;
+}
+
+function normalizeYear(year) {
+  const value = parseInt(year);
+  return value < 100 ? 2000 + value : value;
+}
+
+function parseAbsolute(folded) {
+  // 2024-03-12, 2024-03-12T10:30:00Z, 2024-03-12T10:30:00-07:00
+  if (/^\d{4}-\d{2}-\d{2}/.test(folded)) {
+    const date = new Date(folded.length === 10 ? `${folded}T00:00:00Z` : folded.toUpperCase());
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  // 12.03.2024, 12/03/2024, 12-03-24 (day first, as the TR/EU stores show them)
+  let match = folded.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})$/);
+  if (match) {
+    return utcDate(normalizeYear(match[3]), parseInt(match[2]), parseInt(match[1]));
+  }
+
+  // 12 Mart 2024, 12. März 2024, 12 mar. 2024
+  match = folded.match(/^(\d{1,2})\.?\s+([a-z]+)\.?,?\s+(\d{4})/);
+  if (match && MONTH_LOOKUP[match[2]]) {
+    return utcDate(parseInt(match[3]), MONTH_LOOKUP[match[2]], parseInt(match[1]));
+  }
+
+  // March 12, 2024, Mar 12 2024
+  match = folded.match(/^([a-z]+)\.?\s+(\d{1,2}),?\s+(\d{4})/);
+  if (match && MONTH_LOOKUP[match[1]]) {
+    return utcDate(parseInt(match[3]), MONTH_LOOKUP[match[1]], parseInt(match[2]));
+  }
+
+  return null;
+}
+
+function parseRelative(folded, now) {
+  if (/^(bugun|today|heute|vandaag|bu gun)$/.test(folded)) {
+    return new Date(now.getTime());
+  }
+  if (/^(dun|yesterday|gestern|gisteren)$/.test(folded)) {
+    return new Date(now.getTime() - DAY);
+  }
+
+  // "2 gün önce", "bir hafta önce", "3 days ago", "an hour ago"
+  const match = folded.match(/^(\d+|[a-z]+)\s+([a-z]+?)s?\s+(once|ago)$/);
+  if (!match) return null;
+
+  const amount = /^\d+$/.test(match[1]) ? parseInt(match[1]) : NUMBER_WORDS[match[1]];
+  const unit = RELATIVE_UNITS[match[2]];
+  if (!amount || !unit) return null;
+
+  return new Date(now.getTime() - amount * unit);
+}
+
+/**
+ * Parse a review date from any store or page format
+ * @param {*} value - Date, epoch seconds/milliseconds, or date text
+ * @param {Date} [now] - Reference time for relative dates (defaults to the current time)
+ * @returns {{date: string|null, estimated: boolean}} UTC ISO timestamp (null when unknown),
+ *   and whether the real date could not be determined exactly
+ */
+function parseReviewDate(value, now = new Date()) {
+  if (value === null || value === undefined || value === '') {
+    return { date: null, estimated: true };
+  }
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ?
+      { date: null, estimated: true } :
+      { date: value.toISOString(), estimated: false };
+  }
+
+  if (typeof value === 'number') {
+    // Epoch seconds (Play page data) or milliseconds
+    const date = new Date(value < 1e11 ? value * 1000 : value);
+    return isNaN(date.getTime()) ?
+      { date: null, estimated: true } :
+      { date: date.toISOString(), estimated: false };
+  }
+
+  const folded = foldText(value).replace(/\s+/g, ' ');
+
+  const absolute = parseAbsolute(folded);
+  if (absolute) {
+    return { date: absolute.toISOString(), estimated: false };
+  }
+
+  const relative = parseRelative(folded, now);
+  if (relative) {
+    return { date: relative.toISOString(), estimated: true };
+  }
+
+  return { date: null, estimated: true };
+}
+
+module.exports = {
+  parseReviewDate
+};
@@ -1,10 +1,85 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const gplay = require('google-play-scraper');
+const HttpClient = require('./httpClient');
+const { SourceHealth } = require('./sourceHealth');
+const { stableReviewId, dedupeReviews } = require('./reviewIdentity');
+const { normalizeReviews } = require('./reviewSchema');
+const { ParseError, NotFoundError, classifyError, combineErrors, toWarning } = require('./storeErrors');
+const { ScraperDrift, loadSelectors } = require('./scraperDrift');
+
+const PLAY_HOST = 'play.google.com';
+
+// Source names reported in responses and /health/sources
+const SOURCES = {
+  library: 'google_play.library',
+  internalApi: 'google_play.internal_api',
+  web: 'google_play.web',
+  infoLibrary: 'google_play.app_info.library',
+  infoWeb: 'google_play.app_info.web'
+};
+
+const isEmptyPage = page => page.reviews.length === 0;
+
+// One cheerio selector from a list in the selectors file
+const anyOf = list => [].concat(list).join(', ');
+
+/**
+ * The JSON array starting at `start`, found by matching brackets outside of strings
+ * (a regex cannot tell where a nested array ends)
+ * @returns {string|null}
+ */
+function readJsonArray(text, start) {
+  if (text[start] !== '[') return null;
+
+  let depth = 0;
+  let inString = false;
+
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '[') {
+      depth++;
+    } else if (char === ']' && --depth === 0) {
+      return text.slice(start, i + 1);
+    }
+  }
+  return null;
+}
 
 class GooglePlayService {
-  constructor() {
-    this.baseUrl = 'https://play.google.com/store/getreviews';
+  /**
+   * @param {Object} [deps]
+   * @param {HttpClient} [deps.httpClient] - Shared client; pass one so limits apply across services
+   * @param {SourceHealth} [deps.sourceHealth] - Shared source health and circuit breakers
+   * @param {string} [deps.baseUrl] - Play Store origin for the internal API and web pages
+   * @param {Object} [deps.selectors] - Scraping selectors (loadSelectors), models/playStoreSelectors.json by default
+   * @param {ScraperDrift} [deps.drift] - Drift detection for the scraped pages
+   */
+  constructor({ httpClient, sourceHealth, baseUrl, selectors, drift } = {}) {
+    this.baseUrl = baseUrl || 'https://play.google.com';
+    this.http = httpClient || new HttpClient();
+    this.health = sourceHealth || new SourceHealth();
+    this.selectors = selectors || loadSelectors();
+    this.drift = drift || new ScraperDrift();
+  }
+
+  /**
+   * Fingerprint a scraped page and report selector drift; a failed check is only logged
+   * @param {string} page - Page kind in the selectors ('reviews_api', 'reviews_web', 'app_info_web')
+   * @param {Object} [options] - See fingerprintPage; `language` is the language the page was requested in
+   */
+  async checkDrift(page, html, options) {
+    try {
+      return await this.drift.inspect(page, html, this.selectors[page], options);
+    } catch (error) {
+      console.error(`Scraper drift check of ${page} failed:`, error.message);
+      return null;
+    }
   }
 
   /**
@@ -12,165 +87,273 @@ class GooglePlayService {
    * @param {string} packageId - Android package ID (e.g., com.koton.app)
    * @param {string} language - Language code (e.g., 'tr' for Turkish)
    * @param {number} limit - Maximum number of reviews to fetch
+   * @param {string} country - Storefront country code (e.g., 'TR')
    * @returns {Promise<Array>} Array of review objects
    */
-  async fetchReviews(packageId, language = 'tr', limit = 100) {
+  async fetchReviews(packageId, language = 'tr', limit = 100, country = 'TR') {
+    const result = await this.fetchReviewsFrom(packageId, language, limit, null, country);
+    return result.reviews;
+  }
+
+  /**
+   * Fetch a page of reviews starting at a pagination position
+   * @param {string} packageId - Android package ID (e.g., com.koton.app)
+   * @param {string} language - Language code (e.g., 'tr' for Turkish)
+   * @param {number} limit - Maximum number of reviews to fetch
+   * @param {Object|null} position - Position returned as `next` by a previous call, null for the newest reviews
+   * @param {string} country - Storefront country code (e.g., 'TR')
+   * @returns {Promise<{reviews: Array, next: Object|null, rejected: Array, source: string, warnings: Array}>}
+   *   Valid reviews, the position of the following page, the reviews that failed schema validation, the source
+   *   used and warnings about sources that failed on the way
+   * @throws {StoreError} When no source could answer (typed: network, blocked, parse_failure, not_found...)
+   */
+  async fetchReviewsFrom(packageId, language = 'tr', limit = 100, position = null, country = 'TR') {
     try {
-      console.log(`Fetching Google Play reviews for ${packageId} in ${language}...`);
-      
-      // Primary approach: Use google-play-scraper library
-      const libraryReviews = await this.getReviewsWithLibrary(packageId, language, limit);
-      
-      if (libraryReviews && libraryReviews.length > 0) {
-        return libraryReviews;
-      }
+      console.log(`Fetching Google Play reviews for ${packageId} in ${language}-${country}...`);
 
-      // Fallback 1: Try Google Play Store internal API
-      const apiReviews = await this.getReviewsFromPlayStore(packageId, language, limit);
-      
-      if (apiReviews && apiReviews.length > 0) {
-        return apiReviews;
-      }
+      const page = await this.fetchRawReviewsFrom(packageId, language, limit, position, country);
+
+      // Every source is tagged with the storefront it was requested for
+      const { reviews, rejected } = normalizeReviews(
+        page.reviews.map(review => Object.assign({}, review, { language, country }))
+      );
 
-      // Fallback 2: Use manual web scraping
-      return await this.scrapeReviewsFromWeb(packageId, language, limit);
+      return { reviews, next: page.next, rejected, source: page.source, warnings: page.warnings || [] };
 
     } catch (error) {
       console.error('Error fetching Google Play reviews:', error.message);
-      throw new Error(`Failed to fetch Google Play reviews: ${error.message}`);
+      throw classifyError(error, 'Failed to fetch Google Play reviews');
+    }
+  }
+
+  /**
+   * Walk the source chain (library, internal API, web scraping) for one page of raw reviews.
+   * Sources whose circuit is open are skipped; the first one that returns reviews wins and
+   * carries a warning for every source that failed before it.
+   * @returns {Promise<{reviews: Array, next: Object|null, source: string, warnings: Array}>}
+   * @throws {StoreError} When every source failed or was skipped, or the app is not on Google Play
+   */
+  async fetchRawReviewsFrom(packageId, language, limit, position, country) {
+    // A pagination position is only valid for the source that issued it, so never fall back mid-history
+    if (position && position.page !== undefined) {
+      return this.fromSource(SOURCES.internalApi, () =>
+        this.getReviewsFromPlayStore(packageId, language, limit, position, country));
+    }
+    if (position) {
+      return this.fromSource(SOURCES.library, () =>
+        this.getReviewsWithLibrary(packageId, language, limit, position.token, country));
+    }
+
+    const chain = [
+      [SOURCES.library, () => this.getReviewsWithLibrary(packageId, language, limit, null, country)],
+      [SOURCES.internalApi, () => this.getReviewsFromPlayStore(packageId, language, limit, undefined, country)],
+      // Web scraping sees a single page only
+      [SOURCES.web, async () => ({ reviews: await this.scrapeReviewsFromWeb(packageId, language, limit, country), next: null })]
+    ];
+
+    const errors = [];
+    const warnings = [];
+    let lastEmpty = null;
+
+    for (const [source, fetchPage] of chain) {
+      try {
+        const page = await this.fromSource(source, fetchPage);
+        if (page.reviews.length > 0) return Object.assign(page, { warnings: warnings.concat(page.warnings || []) });
+        lastEmpty = page;
+      } catch (error) {
+        // The other sources read the same listing
+        if (error instanceof NotFoundError) throw error;
+
+        console.log(`${source} failed (${error.message}), trying the next source...`);
+        errors.push(error);
+        warnings.push(toWarning(error, { source }));
+      }
     }
+
+    // Nothing to show but at least one source answered: the app may simply have no reviews
+    if (lastEmpty) return Object.assign(lastEmpty, { warnings: warnings.concat(lastEmpty.warnings || []) });
+
+    throw combineErrors(
+      `Every Google Play source failed (${warnings.map(warning => `${warning.source}: ${warning.message}`).join('; ')})`,
+      errors
+    );
+  }
+
+  /**
+   * Fetch a page through a source's circuit breaker and tag it with the source name
+   */
+  async fromSource(source, fetchPage) {
+    const page = await this.health.run(source, fetchPage, isEmptyPage);
+    return Object.assign({}, page, { source });
   }
 
   /**
    * Get reviews using google-play-scraper library (Primary method)
+   * Follows the library's pagination token until `limit` reviews are collected.
    */
-  async getReviewsWithLibrary(packageId, language, limit) {
+  async getReviewsWithLibrary(packageId, language, limit, token = null, country = 'TR') {
     try {
       console.log(`Using google-play-scraper library for ${packageId}...`);
-      
-      const reviews = await gplay.reviews({
-        appId: packageId,
-        lang: language,
-        country: 'tr',
-        sort: gplay.sort.NEWEST,
-        num: Math.min(limit, 200),
-        paginate: true,
-        nextPaginationToken: null
-      });
 
-      if (!reviews || !reviews.data || reviews.data.length === 0) {
-        console.log('No reviews found with library method');
-        return [];
-      }
+      const formattedReviews = [];
+      let nextToken = token;
 
-      const formattedReviews = reviews.data.map((review, index) => {
-        // Handle date safely
-        let formattedDate;
-        try {
-          if (review.date) {
-            formattedDate = review.date instanceof Date ? 
-              review.date.toISOString().split('T')[0] : 
-              new Date(review.date).toISOString().split('T')[0];
-          } else {
-            formattedDate = new Date().toISOString().split('T')[0];
-          }
-        } catch (dateError) {
-          formattedDate = new Date().toISOString().split('T')[0];
+      do {
+        const reviews = await this.http.run(PLAY_HOST, () => gplay.reviews({
+          appId: packageId,
+          lang: language,
+          country: country.toLowerCase(),
+          sort: gplay.sort.NEWEST,
+          num: Math.min(limit - formattedReviews.length, 150),
+          paginate: true,
+          nextPaginationToken: nextToken,
+          // The reviews endpoint is a form POST; its Content-Type must survive the header override
+          requestOptions: this.http.libraryOptions({ 'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8' })
+        }));
+
+        if (!reviews || !reviews.data || reviews.data.length === 0) {
+          nextToken = null;
+          break;
         }
 
-        // Handle reply date safely
-        let formattedReplyDate = null;
-        try {
-          if (review.replyDate) {
-            formattedReplyDate = review.replyDate instanceof Date ? 
-              review.replyDate.toISOString().split('T')[0] : 
-              new Date(review.replyDate).toISOString().split('T')[0];
-          }
-        } catch (replyDateError) {
-          formattedReplyDate = null;
-        }
+        formattedReviews.push(...this.formatLibraryReviews(reviews.data, language));
+        nextToken = reviews.nextPaginationToken || null;
+      } while (nextToken && formattedReviews.length < limit);
 
-        return {
-          id: `gp_lib_${review.id || Date.now()}_${index}`,
-          platform: 'Google Play',
-          author: review.userName || 'Anonymous',
-          rating: review.score || 0,
-          date: formattedDate,
-          content: review.text || '',
-          helpful: review.thumbsUp || 0,
-          language: language,
-          version: review.version || '',
-          reply: review.replyText || null,
-          replyDate: formattedReplyDate
-        };
-      }).filter(review => review.content && review.content.length > 10);
+      if (formattedReviews.length === 0) {
+        console.log('No reviews found with library method');
+      } else {
+        console.log(`Successfully extracted ${formattedReviews.length} reviews using library`);
+      }
 
-      console.log(`Successfully extracted ${formattedReviews.length} reviews using library`);
-      return formattedReviews;
+      return {
+        reviews: dedupeReviews(formattedReviews),
+        next: nextToken ? { token: nextToken } : null
+      };
 
     } catch (error) {
-      console.log('Google Play Scraper library failed:', error.message);
-      return [];
+      throw classifyError(error, 'google-play-scraper failed');
     }
   }
 
+  /**
+   * Convert raw google-play-scraper reviews to our review format
+   */
+  formatLibraryReviews(data, language) {
+    const formatted = data.map(review => ({
+      id: stableReviewId('gp', review.id, { author: review.userName, content: review.text }),
+      platform: 'Google Play',
+      author: review.userName || 'Anonymous',
+      rating: review.score || 0,
+      date: review.date || null,
+      content: review.text || '',
+      helpful: review.thumbsUp || 0,
+      language: language,
+      version: review.version || null,
+      reply: review.replyText || null,
+      replyDate: review.replyDate || null
+    })).filter(review => review.content && review.content.length > 10);
+
+    return dedupeReviews(formatted);
+  }
+
   /**
    * Get reviews using Google Play Store internal API
+   * Walks `pageNum` from the given position until `limit` reviews are collected.
    */
-  async getReviewsFromPlayStore(packageId, language, limit) {
+  async getReviewsFromPlayStore(packageId, language, limit, position = { page: 0, skip: 0 }, country = 'TR') {
+    const reviews = [];
+    let page = position.page;
+    let skip = position.skip || 0;
+
     try {
-      const url = `https://play.google.com/store/getreviews`;
-      const params = {
-        id: packageId,
-        reviewType: 0,
-        pageNum: 0,
-        reviewSortOrder: 0,
-        xhr: 1,
-        hl: language
-      };
+      while (reviews.length < limit) {
+        const pageReviews = await this.getReviewsFromPlayStorePage(packageId, language, page, country);
 
-      const response = await axios.post(url, null, {
-        params,
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-          'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
-          'X-Requested-With': 'XMLHttpRequest',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-          'Accept-Language': `${language},en;q=0.9`,
-          'Accept-Encoding': 'gzip, deflate, br',
-          'DNT': '1',
-          'Connection': 'keep-alive',
-          'Upgrade-Insecure-Requests': '1'
+        if (pageReviews.length <= skip) {
+          return { reviews, next: null };
         }
-      });
 
-      if (response.data && response.data.length > 5) {
-        // Parse the response which is usually wrapped in )]}'
-        const jsonStr = response.data.substring(5);
-        const data = JSON.parse(jsonStr);
-        
-        if (data && data[0] && data[0][2]) {
-          return this.parsePlayStoreReviews(data[0][2], limit);
+        const taken = pageReviews.slice(skip, skip + limit - reviews.length);
+        reviews.push(...taken);
+
+        // Stay on this page if it still has reviews we did not hand out
+        if (skip + taken.length < pageReviews.length) {
+          skip += taken.length;
+        } else {
+          page++;
+          skip = 0;
         }
       }
 
-      return [];
+      return { reviews, next: { page, skip } };
     } catch (error) {
-      console.log('Play Store API method failed, trying web scraping...');
-      return [];
+      const failure = classifyError(error, 'Play Store internal API failed');
+
+      // Reviews from the pages that did load are still worth returning
+      if (reviews.length > 0) {
+        console.log(`Play Store API failed after ${reviews.length} reviews: ${error.message}`);
+        return { reviews, next: null, warnings: [toWarning(failure, { source: SOURCES.internalApi })] };
+      }
+      throw failure;
+    }
+  }
+
+  /**
+   * Fetch a single page from the Google Play Store internal API
+   */
+  async getReviewsFromPlayStorePage(packageId, language, pageNum, country = 'TR') {
+    const url = `${this.baseUrl}/store/getreviews`;
+    const params = {
+      id: packageId,
+      reviewType: 0,
+      pageNum: pageNum,
+      reviewSortOrder: 0,
+      xhr: 1,
+      hl: language,
+      gl: country.toUpperCase()
+    };
+
+    const response = await this.http.post(url, null, {
+      params,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded;charset=UTF-8',
+        'X-Requested-With': 'XMLHttpRequest',
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+        'Accept-Language': `${language},en;q=0.9`,
+        'Accept-Encoding': 'gzip, deflate, br',
+        'DNT': '1',
+        'Connection': 'keep-alive',
+        'Upgrade-Insecure-Requests': '1'
+      }
+    });
+
+    if (response.data && response.data.length > 5) {
+      // Parse the response which is usually wrapped in )]}'
+      const jsonStr = response.data.substring(5);
+      const data = JSON.parse(jsonStr);
+      if (!Array.isArray(data)) {
+        throw new ParseError(`Unexpected getreviews response (${typeof data})`);
+      }
+
+      if (data && data[0] && data[0][2]) {
+        await this.checkDrift('reviews_api', data[0][2], { language });
+        return this.parsePlayStoreReviews(data[0][2], Infinity, language);
+      }
     }
+
+    return [];
   }
 
   /**
    * Scrape reviews from Google Play Store web page
    */
-  async scrapeReviewsFromWeb(packageId, language, limit) {
+  async scrapeReviewsFromWeb(packageId, language, limit, country = 'TR') {
     try {
-      const url = `https://play.google.com/store/apps/details?id=${packageId}&hl=${language}&gl=TR&showAllReviews=true`;
+      const url = `${this.baseUrl}/store/apps/details?id=${packageId}&hl=${language}&gl=${country.toUpperCase()}&showAllReviews=true`;
       
-      const response = await axios.get(url, {
+      const response = await this.http.get(url, {
         headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
           'Accept-Language': `${language},en;q=0.9`,
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
           'Accept-Encoding': 'gzip, deflate, br',
@@ -185,25 +368,20 @@ class GooglePlayService {
 
       const $ = cheerio.load(response.data);
       const reviews = [];
+      const selectors = this.selectors.reviews_web;
 
       // Try to extract from JavaScript data first
       let jsReviews = this.extractReviewsFromJavaScript(response.data, limit);
+      await this.checkDrift('reviews_web', response.data, { javascriptReviews: jsReviews, language });
       if (jsReviews.length > 0) {
         console.log(`Extracted ${jsReviews.length} reviews from JavaScript data`);
         return jsReviews;
       }
 
       // Fallback to HTML scraping
-      // Look for review containers with multiple possible selectors
-      const reviewSelectors = [
-        '[data-review-id]',  // Most reliable selector (found 6 elements)
-        '.RHo1pe',           // Original selector
-        '.review-item',      // Backup selector
-        '.single-review'     // Generic selector
-      ];
-
+      // Look for review containers with multiple possible selectors, in the order configured
       let reviewElements = [];
-      for (const selector of reviewSelectors) {
+      for (const selector of [].concat(selectors.container)) {
         reviewElements = $(selector);
         if (reviewElements.length > 0) {
           console.log(`Found ${reviewElements.length} reviews with selector: ${selector}`);
@@ -211,11 +389,13 @@ class GooglePlayService {
         }
       }
 
+      // The other sources already answered when the app has no reviews, so an empty page here
+      // means a changed layout or a consent/captcha page
       if (reviewElements.length === 0) {
         console.log('No review elements found with any selector. Checking page structure...');
         console.log('Page title:', $('title').text());
         console.log('Page has content:', $.html().length > 1000);
-        return [];
+        throw new ParseError(`No review elements found on the page "${$('title').text().trim()}"`);
       }
 
       reviewElements.each((index, element) => {
@@ -224,22 +404,25 @@ class GooglePlayService {
         const $review = $(element);
         
         // Extract review data with multiple fallback selectors
-        const author = $review.find('.X5PpBb, .author-name, [data-reviewer-name]').text().trim() || 
+        const author = $review.find(anyOf(selectors.fields.author)).text().trim() || 
                       $review.text().match(/([^\\n]+?)(?:more_vert|Uygunsuz)/)?.[1]?.trim() || 'Anonymous';
         
         // Try multiple ways to get rating
-        const ratingElement = $review.find('.iXRFPc, .star-rating, [data-rating]');
+        const ratingElement = $review.find(anyOf(selectors.fields.rating));
         const rating = ratingElement.attr('aria-label') || ratingElement.attr('data-rating') || '';
         
         // Try multiple ways to get date
-        const date = $review.find('.bp9Aid, .review-date, .date').text().trim() ||
+        const date = $review.find(anyOf(selectors.fields.date)).text().trim() ||
                     $review.text().match(/(\d{1,2}\s+\w+\s+\d{4})/)?.[1] || '';
         
         // Try multiple ways to get content
-        const content = $review.find('.h3YV2d, .review-text, .content').text().trim() ||
+        const content = $review.find(anyOf(selectors.fields.content)).text().trim() ||
                        this.extractContentFromReviewElement($review);
         
-        const helpful = $review.find('.AJTPZc, .helpful-count').text().trim();
+        const helpful = $review.find(anyOf(selectors.fields.helpful)).text().trim();
+
+        const storeId = $review.attr('data-review-id') ||
+                       $review.find('[data-review-id]').attr('data-review-id') || null;
 
         if (content && content.length > 10) {
           // Extract numeric rating from aria-label or text
@@ -249,16 +432,16 @@ class GooglePlayService {
             numericRating = parseInt(ratingMatch[1]);
           } else {
             // Try to count stars or find rating in text
-            const starCount = $review.find('.iXRFPc, .star, .filled-star').length;
+            const starCount = $review.find(`${anyOf(selectors.fields.rating)}, .star, .filled-star`).length;
             numericRating = starCount > 0 ? starCount : this.extractRatingFromText($review.text());
           }
 
           reviews.push({
-            id: `gp_web_${Date.now()}_${index}`,
+            id: stableReviewId('gp', storeId, { author: author, content: content }),
             platform: 'Google Play',
             author: author || `User_${index + 1}`,
             rating: numericRating,
-            date: date || new Date().toISOString().split('T')[0],
+            date: date || null,
             content: content,
             helpful: helpful,
             language: language
@@ -267,66 +450,73 @@ class GooglePlayService {
       });
 
       console.log(`Scraped ${reviews.length} reviews from Google Play Store`);
-      return reviews;
+      return dedupeReviews(reviews);
 
     } catch (error) {
-      console.error('Web scraping failed:', error.message);
-      return [];
+      throw classifyError(error, 'Web scraping failed');
     }
   }
 
   /**
    * Parse reviews from Play Store API response
    */
-  parsePlayStoreReviews(htmlContent, limit) {
+  parsePlayStoreReviews(htmlContent, limit, language = 'tr') {
     try {
       const $ = cheerio.load(htmlContent);
       const reviews = [];
+      const selectors = this.selectors.reviews_api;
 
-      $('.RHo1pe').each((index, element) => {
+      $(anyOf(selectors.container)).each((index, element) => {
         if (reviews.length >= limit) return false;
 
         const $review = $(element);
         
-        const author = $review.find('.X5PpBb').text().trim();
-        const rating = $review.find('.iXRFPc').length;
-        const date = $review.find('.bp9Aid').text().trim();
-        const content = $review.find('.h3YV2d').text().trim();
+        const storeId = $review.attr('data-review-id') ||
+                       $review.find('[data-review-id]').attr('data-review-id') || null;
+        const author = $review.find(anyOf(selectors.fields.author)).text().trim();
+        // One element per filled star
+        const rating = $review.find(anyOf(selectors.fields.rating)).length;
+        const date = $review.find(anyOf(selectors.fields.date)).text().trim();
+        const content = $review.find(anyOf(selectors.fields.content)).text().trim();
 
         if (content && author) {
           reviews.push({
-            id: `gp_api_${Date.now()}_${index}`,
+            id: stableReviewId('gp', storeId, { author: author, content: content }),
             platform: 'Google Play',
             author: author,
             rating: rating,
             date: date,
             content: content,
-            language: 'tr'
+            language: language
           });
         }
       });
 
-      return reviews;
+      return dedupeReviews(reviews);
     } catch (error) {
       console.error('Error parsing Play Store reviews:', error.message);
-      return [];
+      throw new ParseError(`Could not parse Play Store reviews: ${error.message}`, { cause: error });
     }
   }
 
   /**
    * Get app information from Google Play Store
+   * @returns {Promise<Object>} App info tagged with the `source` it came from
+   * @throws {StoreError} When both sources failed or the app is not on Google Play
    */
-  async getAppInfo(packageId, language = 'tr') {
+  async getAppInfo(packageId, language = 'tr', country = 'TR') {
+    console.log(`Fetching app info for ${packageId}...`);
+
+    // Primary approach: Use google-play-scraper library
+    let libraryFailure;
     try {
-      console.log(`Fetching app info for ${packageId}...`);
-      
-      // Primary approach: Use google-play-scraper library
-      try {
-        const appInfo = await gplay.app({
+      return await this.health.run(SOURCES.infoLibrary, async () => {
+        const appInfo = await this.http.run(PLAY_HOST, () => gplay.app({
           appId: packageId,
           lang: language,
-          country: 'tr'
-        });
+          country: country.toLowerCase(),
+          requestOptions: this.http.libraryOptions()
+        }));
 
         return {
           name: appInfo.title || '',
@@ -340,41 +530,50 @@ class GooglePlayService {
           price: appInfo.price || 'Free',
           category: appInfo.genre || '',
           screenshots: appInfo.screenshots || [],
-          video: appInfo.video || null
+          video: appInfo.video || null,
+          source: SOURCES.infoLibrary
         };
-      } catch (libraryError) {
-        console.log('Library app method failed, trying manual scraping...');
-      }
-      
-      // Fallback: Manual scraping approach
-      try {
-        const url = `https://play.google.com/store/apps/details?id=${packageId}&hl=${language}&gl=TR`;
-        
-        const response = await axios.get(url, {
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-          },
-          timeout: 10000
-        });
+      });
+    } catch (libraryError) {
+      libraryFailure = classifyError(libraryError, 'google-play-scraper failed');
+      if (libraryFailure instanceof NotFoundError) throw libraryFailure;
+      console.log(`Library app method failed (${libraryError.message}), trying manual scraping...`);
+    }
+
+    // Fallback: Manual scraping approach
+    try {
+      return await this.health.run(SOURCES.infoWeb, async () => {
+        const url = `${this.baseUrl}/store/apps/details?id=${packageId}&hl=${language}&gl=${country.toUpperCase()}`;
+
+        const response = await this.http.get(url, { timeout: 10000 });
 
         const $ = cheerio.load(response.data);
+        const fields = this.selectors.app_info_web.fields;
+        await this.checkDrift('app_info_web', response.data, { language });
+
+        if (!$(anyOf(fields.name)).text().trim()) {
+          throw new ParseError(`No app name found on the page "${$('title').text().trim()}"`);
+        }
 
         return {
-          name: $('h1[itemprop="name"]').text().trim(),
-          developer: $('.wRygue .Vbfug a').text().trim(),
-          rating: $('.TT9eCd').text().trim(),
-          reviews_count: $('.AYi5wd.TBRnV').text().trim(),
-          installs: $('.wVqUob:contains("İndirme")').next().text().trim(),
-          updated: $('.xg1aie').text().trim(),
-          version: $('.htlgb:contains("Sürüm")').next().text().trim()
+          name: $(anyOf(fields.name)).text().trim(),
+          developer: $(anyOf(fields.developer)).text().trim(),
+          rating: $(anyOf(fields.rating)).text().trim(),
+          reviews_count: $(anyOf(fields.reviews_count)).text().trim(),
+          // The label matches, the value is next to it
+          installs: $(anyOf(fields.installs)).next().text().trim(),
+          updated: $(anyOf(fields.updated)).text().trim(),
+          version: $(anyOf(fields.version)).next().text().trim(),
+          source: SOURCES.infoWeb
         };
-      } catch (fallbackError) {
-        console.error('App info fetch failed:', fallbackError.message);
-        return null;
-      }
-    } catch (error) {
-      console.error('Error fetching app info:', error.message);
-      return null;
+      });
+    } catch (fallbackError) {
+      console.error('App info fetch failed:', fallbackError.message);
+      const fallbackFailure = classifyError(fallbackError, 'web scraping failed');
+      throw combineErrors(
+        `Google Play app info failed (${libraryFailure.message}; ${fallbackFailure.message})`,
+        [libraryFailure, fallbackFailure]
+      );
     }
   }
 
@@ -384,13 +583,12 @@ class GooglePlayService {
   extractReviewsFromJavaScript(htmlData, limit) {
     try {
       // Look for AF_initDataCallback with review data
-      const jsDataRegex = /AF_initDataCallback\({[^}]+data:\s*(\[.*?\])/g;
+      const jsDataRegex = /AF_initDataCallback\({[^}]+?data:\s*/g;
       const reviews = [];
-      let match;
 
-      while ((match = jsDataRegex.exec(htmlData)) !== null && reviews.length < limit) {
+      while (jsDataRegex.exec(htmlData) !== null && reviews.length < limit) {
         try {
-          const data = JSON.parse(match[1]);
+          const data = JSON.parse(readJsonArray(htmlData, jsDataRegex.lastIndex));
           const extractedReviews = this.parseNestedReviewData(data, limit - reviews.length);
           reviews.push(...extractedReviews);
         } catch (parseError) {
@@ -399,7 +597,8 @@ class GooglePlayService {
         }
       }
 
-      return reviews;
+      // The same review often appears in several AF_initDataCallback blocks
+      return dedupeReviews(reviews);
     } catch (error) {
       console.log('JavaScript extraction failed:', error.message);
       return [];
@@ -442,27 +641,36 @@ class GooglePlayService {
    */
   parseReviewArray(arr) {
     try {
-      // Look for patterns that indicate review data
+      // Review arrays start with the store's review ID
+      const possibleId = typeof arr[0] === 'string' && /^(gp:)?[\w-]{16,}$/.test(arr[0]) ? arr[0] : null;
+
+      // Look for patterns that indicate review data (the ID is long enough to pass for content)
       const possibleContent = arr.find(item => 
-        typeof item === 'string' && item.length > 20 && item.length < 1000
+        typeof item === 'string' && item.length > 20 && item.length < 1000 && item !== possibleId
       );
       
       const possibleAuthor = arr.find(item => 
         typeof item === 'string' && item.length > 2 && item.length < 50 && 
-        !item.includes(' ') && item !== possibleContent
+        !item.includes(' ') && item !== possibleContent && item !== possibleId
       );
 
       const possibleRating = arr.find(item => 
         typeof item === 'number' && item >= 1 && item <= 5
       );
 
+      // Timestamps are stored as [epochSeconds, nanos]
+      const possibleTimestamp = arr.find(item =>
+        Array.isArray(item) && item.length === 2 && typeof item[0] === 'number' &&
+        item[0] > 1e9 && item[0] < 1e10
+      );
+
       if (possibleContent && possibleAuthor) {
         return {
-          id: `gp_js_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          id: stableReviewId('gp', possibleId, { author: possibleAuthor, content: possibleContent }),
           platform: 'Google Play',
           author: possibleAuthor,
           rating: possibleRating || 0,
-          date: new Date().toISOString().split('T')[0],
+          date: possibleTimestamp ? possibleTimestamp[0] : null,
           content: possibleContent,
           helpful: '',
           language: 'tr'
@@ -0,0 +1,145 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// A lock this old belongs to a process that died while writing
+const STALE_LOCK_MS = 30000;
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 50;
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * One JSON document on disk, shared by the file-backed services (review store, app info
+ * history, alert state, scraper drift). Changes go through `update`, which serializes them
+ * and writes through a temporary file so a crash never leaves a half-written file behind.
+ *
+ * The server and `npm run sync` may use the same files at the same time: the document is
+ * re-read when the file changed on disk, and `update` applies its change to the current file
+ * while holding `<file>.lock`, so neither process overwrites what the other wrote.
+ */
+class JsonFile {
+  /**
+   * @param {string|null} filePath - Where the document is kept; null keeps it in memory only
+   * @param {Function} defaults - Returns the empty document, also used for missing keys of a loaded one
+   * @param {string} label - What the file holds, for error messages (e.g. 'review store for koton')
+   */
+  constructor(filePath, defaults, label) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.label = label;
+    this.state = null;
+    this.version = null; // identifies the file the state was read from
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * The document, kept in memory and read again when the file changed on disk
+   * @returns {Promise<Object>}
+   */
+  async read() {
+    if (!this.filePath) {
+      if (!this.state) this.state = this.defaults();
+      return this.state;
+    }
+
+    const version = await this.currentVersion();
+    if (this.state && version === this.version) return this.state;
+
+    let state = this.defaults();
+    try {
+      state = Object.assign(state, JSON.parse(await fs.readFile(this.filePath, 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load ${this.label}: ${error.message}`);
+      }
+    }
+
+    this.state = state;
+    this.version = version;
+    return state;
+  }
+
+  /**
+   * Change the document and persist it. Updates run one at a time, across processes too.
+   * @param {Function} mutate - Changes the document in place; its return value is passed on
+   * @returns {Promise<*>} What `mutate` returned
+   */
+  update(mutate) {
+    const next = this.queue.catch(() => {}).then(async () => {
+      if (!this.filePath) return mutate(await this.read());
+
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const release = await this.lock();
+      try {
+        const state = await this.read();
+        const result = mutate(state);
+        await this.write(state);
+        return result;
+      } catch (error) {
+        // The state may be half-changed; read it from disk next time
+        this.state = null;
+        throw error;
+      } finally {
+        await release();
+      }
+    });
+
+    this.queue = next;
+    return next;
+  }
+
+  /**
+   * Inode, size and modification time of the file; writes replace the file, so any write
+   * by another process changes it
+   */
+  async currentVersion() {
+    try {
+      const stat = await fs.stat(this.filePath);
+      return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 'missing';
+      throw new Error(`Failed to load ${this.label}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take `<file>.lock`, waiting for another process that holds it
+   * @returns {Promise<Function>} Releases the lock
+   */
+  async lock() {
+    const lockPath = `${this.filePath}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        const handle = await fs.open(lockPath, 'wx');
+        await handle.writeFile(String(process.pid));
+        await handle.close();
+        return () => fs.unlink(lockPath).catch(() => {});
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+        await fs.unlink(lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the lock on ${this.label}`);
+      }
+      await delay(LOCK_RETRY_MS);
+    }
+  }
+
+  async write(state) {
+    const tmp = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(state));
+    await fs.rename(tmp, this.filePath);
+    this.version = await this.currentVersion();
+  }
+}
+
+module.exports = JsonFile;
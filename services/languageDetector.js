@@ -0,0 +1,180 @@
+const samples = require('../models/languageSamples.json');
+
+// Offline language identification with a character-trigram naive Bayes model.
+// Profiles are built once from the sample reviews shipped in models/languageSamples.json;
+// scripts the model does not cover (Cyrillic, Arabic) are recognized by their alphabet.
+
+// Below this many trigrams the text says too little to be confident either way
+const FULL_CONFIDENCE_TRIGRAMS = 25;
+
+// Detections below this confidence fall back to the storefront language
+const MIN_CONFIDENCE = 0.5;
+
+// Shorter texts (one or two words) keep the storefront language: a single Turkish word like
+// "Berbat" shares enough trigrams with German or Dutch to be detected as them
+const MIN_OVERRIDE_TRIGRAMS = 10;
+
+const SCRIPTS = [
+  { language: 'ru', pattern: /[Ѐ-ӿ]/g },
+  { language: 'ar', pattern: /[؀-ۿ]/g }
+];
+
+let profiles = null;
+
+function normalize(text) {
+  return String(text || '')
+    .replace(/İ/g, 'i')
+    .toLowerCase()
+    .replace(/[^\p{L}]+/gu, ' ')
+    .trim();
+}
+
+function trigrams(text) {
+  const grams = [];
+
+  normalize(text).split(' ').filter(Boolean).forEach(word => {
+    const padded = ` ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.push(padded.slice(i, i + 3));
+    }
+  });
+
+  return grams;
+}
+
+// Letters outside a-z, which tell languages apart (ş, ğ and ı are never Dutch, German or English)
+function specialLetters(text) {
+  return new Set(normalize(text).match(/[^a-z ]/g) || []);
+}
+
+function buildProfiles() {
+  const vocabulary = new Set();
+  const letters = new Set();
+  const languages = Object.entries(samples).map(([language, texts]) => {
+    const counts = new Map();
+    const alphabet = new Set();
+    let total = 0;
+
+    texts.forEach(text => {
+      trigrams(text).forEach(gram => {
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+        vocabulary.add(gram);
+        total++;
+      });
+      specialLetters(text).forEach(letter => {
+        alphabet.add(letter);
+        letters.add(letter);
+      });
+    });
+
+    return { language, counts, total, alphabet };
+  });
+
+  return { languages, vocabularySize: vocabulary.size, letters };
+}
+
+function getProfiles() {
+  if (!profiles) {
+    profiles = buildProfiles();
+  }
+  return profiles;
+}
+
+function detectScript(text) {
+  const letters = (String(text).match(/\p{L}/gu) || []).length;
+  if (letters === 0) return null;
+
+  for (const script of SCRIPTS) {
+    const matches = (String(text).match(script.pattern) || []).length;
+    if (matches / letters > 0.5) {
+      return { language: script.language, confidence: Math.round((matches / letters) * 100) / 100 };
+    }
+  }
+
+  return null;
+}
+
+// Modeled languages the text may be in: a language whose samples never use one of the text's
+// special letters is ruled out, unless that rules out every language
+function possibleLanguages(text) {
+  const { languages, letters } = getProfiles();
+  const used = Array.from(specialLetters(text)).filter(letter => letters.has(letter));
+  const possible = languages.filter(profile => used.every(letter => profile.alphabet.has(letter)));
+
+  return (possible.length > 0 ? possible : languages).map(profile => profile.language);
+}
+
+/**
+ * Detect the language of a piece of text
+ * @param {string} text - Review title and/or content
+ * @returns {{language: string|null, confidence: number, scores: Object}} Most likely language code
+ *   (null when the text has no letters), its probability, and the probability of every modeled language
+ */
+function detectLanguage(text) {
+  const script = detectScript(text);
+  if (script) {
+    return Object.assign(script, { scores: { [script.language]: script.confidence } });
+  }
+
+  const grams = trigrams(text);
+  if (grams.length === 0) {
+    return { language: null, confidence: 0, scores: {} };
+  }
+
+  const { languages, vocabularySize } = getProfiles();
+  const possible = possibleLanguages(text);
+
+  // Average log-likelihood per trigram, scaled by how much evidence the text carries
+  const evidence = Math.min(grams.length, FULL_CONFIDENCE_TRIGRAMS);
+  const logits = languages.map(profile => {
+    const denominator = profile.total + vocabularySize;
+    const logLikelihood = grams.reduce((sum, gram) =>
+      sum + Math.log(((profile.counts.get(gram) || 0) + 1) / denominator), 0);
+
+    return (logLikelihood / grams.length) * evidence;
+  });
+
+  // Softmax into probabilities
+  const max = Math.max(...logits.filter((logit, index) => possible.includes(languages[index].language)));
+  const weights = logits.map((logit, index) => possible.includes(languages[index].language) ? Math.exp(logit - max) : 0);
+  const sum = weights.reduce((a, b) => a + b, 0);
+
+  const scores = {};
+  let best = null;
+  languages.forEach((profile, index) => {
+    const probability = Math.round((weights[index] / sum) * 100) / 100;
+    scores[profile.language] = probability;
+    if (!best || probability > best.confidence) {
+      best = { language: profile.language, confidence: probability };
+    }
+  });
+
+  return Object.assign(best, { scores });
+}
+
+/**
+ * Language to report for a review: the detected one, or the storefront language
+ * when detection is not confident enough or the text is too short to override it
+ * @param {string} text - Review title and content
+ * @param {string} fallback - Storefront language code
+ * @returns {{language: string, confidence: number}} Language code and the model's confidence in it
+ */
+function resolveReviewLanguage(text, fallback) {
+  const detected = detectLanguage(text);
+  // A short text keeps a storefront language its letters do not rule out
+  const modeled = getProfiles().languages.some(profile => profile.language === fallback);
+  const overrides = !fallback || detectScript(text) || trigrams(text).length >= MIN_OVERRIDE_TRIGRAMS ||
+    (modeled && !possibleLanguages(text).includes(fallback));
+
+  if (detected.language && detected.confidence >= MIN_CONFIDENCE && overrides) {
+    return { language: detected.language, confidence: detected.confidence };
+  }
+
+  return { language: fallback, confidence: detected.scores[fallback] || 0 };
+}
+
+module.exports = {
+  detectLanguage,
+  resolveReviewLanguage,
+  supportedLanguages: Object.keys(samples).concat(SCRIPTS.map(script => script.language))
+};
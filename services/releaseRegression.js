@@ -0,0 +1,150 @@
+const { extractKeywords } = require('./topicExtractor');
+const { parseReviewDate } = require('./dateParser');
+
+// Compares each app version with the one released before it: average rating, share of
+// 1-2 star reviews and keywords that started showing up. Versions that cross the
+// thresholds in config.settings.regression are flagged as regressions.
+
+const KEYWORD_LIMIT = 10;
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Order version strings numerically ("5.10.0" after "5.9.2")
+ */
+function compareVersions(a, b) {
+  const partsA = String(a).split(/[.\-]/);
+  const partsB = String(b).split(/[.\-]/);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const partA = partsA[i] || '0';
+    const partB = partsB[i] || '0';
+    const numeric = /^\d+$/.test(partA) && /^\d+$/.test(partB);
+    const order = numeric ? parseInt(partA) - parseInt(partB) : partA.localeCompare(partB);
+    if (order !== 0) return order;
+  }
+  return 0;
+}
+
+function summarizeVersion(version, reviews) {
+  const rated = reviews.filter(review => review.rating >= 1 && review.rating <= 5);
+  const lowRated = rated.filter(review => review.rating <= 2);
+  const dates = reviews.map(review => review.date).filter(Boolean).sort();
+
+  // Document frequency: how many of the version's reviews mention each keyword
+  const keywords = new Map();
+  reviews.forEach(review => {
+    new Set(extractKeywords(review)).forEach(term => keywords.set(term, (keywords.get(term) || 0) + 1));
+  });
+
+  return {
+    version,
+    reviewCount: reviews.length,
+    averageRating: rated.length > 0 ? rated.reduce((sum, review) => sum + review.rating, 0) / rated.length : null,
+    lowRatingShare: rated.length > 0 ? lowRated.length / rated.length : null,
+    firstReview: dates[0] || null,
+    keywords
+  };
+}
+
+function newKeywords(current, previous, minShare) {
+  const surfacing = [];
+
+  current.keywords.forEach((count, term) => {
+    const share = count / current.reviewCount;
+    const previousShare = previous.reviewCount > 0 ? (previous.keywords.get(term) || 0) / previous.reviewCount : 0;
+
+    if (count >= 2 && share >= minShare && share >= previousShare * 2) {
+      surfacing.push({ term, count, share: round(share, 3), previous_share: round(previousShare, 3) });
+    }
+  });
+
+  return surfacing
+    .sort((a, b) => (b.share - b.previous_share) - (a.share - a.previous_share) || b.count - a.count)
+    .slice(0, KEYWORD_LIMIT);
+}
+
+/**
+ * Compare every version of one platform with the version before it
+ * @param {Array} reviews - The platform's reviews in the unified model
+ * @param {Object} thresholds - See config.settings.regression
+ * @param {Object|null} [storeVersion] - Current listing `{version, updated}` from getAppInfo
+ * @returns {Object} Store version and one entry per release, newest first
+ */
+function analyzeReleases(reviews, thresholds, storeVersion = null) {
+  const byVersion = new Map();
+  reviews.forEach(review => {
+    if (!review.version) return;
+    if (!byVersion.has(review.version)) byVersion.set(review.version, []);
+    byVersion.get(review.version).push(review);
+  });
+
+  const versions = Array.from(byVersion.keys()).sort(compareVersions)
+    .map(version => summarizeVersion(version, byVersion.get(version)));
+
+  const current = storeVersion && storeVersion.version ? {
+    version: storeVersion.version,
+    released_at: parseReviewDate(storeVersion.updated || null).date
+  } : null;
+
+  const releases = versions.map((summary, index) => {
+    const previous = index > 0 ? versions[index - 1] : null;
+    const release = {
+      version: summary.version,
+      previous_version: previous ? previous.version : null,
+      // The listing date is exact for the live version, older ones are dated by their first review
+      released_at: current && current.version === summary.version && current.released_at ?
+        current.released_at : summary.firstReview,
+      review_count: summary.reviewCount,
+      average_rating: summary.averageRating === null ? null : round(summary.averageRating),
+      rating_delta: null,
+      low_rating_share: summary.lowRatingShare === null ? null : round(summary.lowRatingShare, 3),
+      low_rating_share_delta: null,
+      new_keywords: previous ? newKeywords(summary, previous, thresholds.keywordMinShare) : [],
+      sufficient_data: false,
+      regression: false,
+      reasons: []
+    };
+
+    if (!previous) return release;
+
+    if (summary.averageRating !== null && previous.averageRating !== null) {
+      release.rating_delta = round(summary.averageRating - previous.averageRating);
+    }
+    if (summary.lowRatingShare !== null && previous.lowRatingShare !== null) {
+      release.low_rating_share_delta = round(summary.lowRatingShare - previous.lowRatingShare, 3);
+    }
+
+    // Too few reviews on either side make the comparison noise
+    release.sufficient_data = summary.reviewCount >= thresholds.minReviews &&
+      previous.reviewCount >= thresholds.minReviews;
+    if (!release.sufficient_data) return release;
+
+    if (release.rating_delta !== null && -release.rating_delta >= thresholds.ratingDrop) {
+      release.reasons.push(`Average rating dropped by ${-release.rating_delta} (threshold ${thresholds.ratingDrop})`);
+    }
+    if (release.low_rating_share_delta !== null &&
+      release.low_rating_share_delta >= thresholds.lowRatingShareIncrease) {
+      release.reasons.push(
+        `1-2 star share rose by ${round(release.low_rating_share_delta * 100, 1)} points ` +
+        `(threshold ${round(thresholds.lowRatingShareIncrease * 100, 1)})`
+      );
+    }
+    release.regression = release.reasons.length > 0;
+
+    return release;
+  });
+
+  return {
+    store_version: current,
+    releases: releases.reverse()
+  };
+}
+
+module.exports = {
+  compareVersions,
+  analyzeReleases
+};
@@ -0,0 +1,169 @@
+const ExcelJS = require('exceljs');
+const { InvalidFilterError } = require('./reviewFilters');
+const { write } = require('./reviewStream');
+
+// Streams stored reviews as CSV, NDJSON or Excel for spreadsheet users:
+//   format=csv|ndjson|xlsx
+//   columns=date,rating,content   - columns and their order (see EXPORT_COLUMNS)
+//   delimiter=,|;|tab             - CSV field separator
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const DELIMITERS = { ',': ',', ';': ';', tab: '\t' };
+
+// Excel only reads a CSV file as UTF-8 when it starts with a byte order mark
+const UTF8_BOM = '\uFEFF';
+
+// Column name -> value taken from a unified review
+const EXPORT_COLUMNS = {
+  id: review => review.id,
+  platform: review => review.platform,
+  country: review => review.country,
+  date: review => review.date,
+  date_estimated: review => review.dateEstimated,
+  rating: review => review.rating,
+  title: review => review.title,
+  content: review => review.content,
+  author: review => review.author,
+  version: review => review.version,
+  helpful: review => review.helpful,
+  language: review => review.language,
+  sentiment: review => review.sentiment ? review.sentiment.label : null,
+  sentiment_score: review => review.sentiment ? review.sentiment.score : null,
+  rating_mismatch: review => review.ratingMismatch,
+  reply: review => review.reply,
+  reply_date: review => review.replyDate,
+  stored_at: review => review.stored_at
+};
+
+// Columns written as real dates in Excel so they can be sorted and filtered by date
+const DATE_COLUMNS = ['date', 'reply_date', 'stored_at'];
+
+// Column widths in the Excel sheet; the rest get the default width
+const XLSX_WIDTHS = { id: 24, date: 22, title: 30, content: 80, author: 20, reply: 60, reply_date: 22 };
+
+/**
+ * Read the export options of a request
+ * @param {Object} query - Express `req.query`
+ * @param {Object} defaults - `settings.export` from config.js
+ * @returns {{format: string, columns: Array, delimiter: string}}
+ * @throws {InvalidFilterError} When an option has an invalid value
+ */
+function parseExportOptions(query, defaults) {
+  const format = query.format || 'csv';
+  if (!FORMATS[format]) {
+    throw new InvalidFilterError(`Invalid format: ${format} (expected ${Object.keys(FORMATS).join(', ')})`);
+  }
+
+  const columns = query.columns ?
+    String(query.columns).split(',').map(column => column.trim()).filter(Boolean) :
+    defaults.columns;
+  columns.forEach(column => {
+    if (!EXPORT_COLUMNS[column]) {
+      throw new InvalidFilterError(`Unknown column: ${column} (available: ${Object.keys(EXPORT_COLUMNS).join(', ')})`);
+    }
+  });
+
+  const delimiter = DELIMITERS[query.delimiter || defaults.delimiter];
+  if (!delimiter) {
+    throw new InvalidFilterError(`Invalid delimiter: ${query.delimiter} (expected , ; or tab)`);
+  }
+
+  return {
+    format,
+    // NDJSON keeps the whole review unless columns were asked for
+    columns: format === 'ndjson' && !query.columns ? null : columns,
+    delimiter
+  };
+}
+
+function csvField(value, delimiter) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  // Text starting with = + - @ would run as a formula when the file is opened in Excel
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function pickColumns(review, columns) {
+  return columns.reduce((row, column) => {
+    const value = EXPORT_COLUMNS[column](review);
+    row[column] = value === undefined ? null : value;
+    return row;
+  }, {});
+}
+
+async function writeCsv(stream, reviews, options) {
+  await write(stream, UTF8_BOM + options.columns.join(options.delimiter) + '\r\n');
+
+  for (const review of reviews) {
+    const line = options.columns
+      .map(column => csvField(EXPORT_COLUMNS[column](review), options.delimiter))
+      .join(options.delimiter);
+    if (!await write(stream, line + '\r\n')) return;
+  }
+}
+
+async function writeNdjson(stream, reviews, options) {
+  for (const review of reviews) {
+    const record = options.columns ? pickColumns(review, options.columns) : review;
+    if (!await write(stream, JSON.stringify(record) + '\n')) return;
+  }
+}
+
+async function writeXlsx(stream, reviews, options) {
+  // The streaming writer commits rows as it goes instead of building the workbook in memory
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Reviews', { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  sheet.columns = options.columns.map(column => ({
+    header: column,
+    key: column,
+    width: XLSX_WIDTHS[column] || 12,
+    style: DATE_COLUMNS.includes(column) ? { numFmt: 'yyyy-mm-dd hh:mm' } : undefined
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  for (const review of reviews) {
+    if (stream.destroyed) return;
+    const row = pickColumns(review, options.columns);
+    DATE_COLUMNS.forEach(column => {
+      if (row[column]) row[column] = new Date(row[column]);
+    });
+    sheet.addRow(row).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Stream reviews in the requested format
+ * @param {stream.Writable} stream - Destination, usually the Express response
+ * @param {Array} reviews - Reviews in the unified model
+ * @param {Object} options - Result of parseExportOptions
+ */
+function writeExport(stream, reviews, options) {
+  if (options.format === 'ndjson') return writeNdjson(stream, reviews, options);
+  if (options.format === 'xlsx') return writeXlsx(stream, reviews, options);
+  return writeCsv(stream, reviews, options);
+}
+
+module.exports = {
+  FORMATS,
+  EXPORT_COLUMNS,
+  parseExportOptions,
+  writeExport
+};
@@ -0,0 +1,170 @@
+// Query-string filters shared by every review route:
+//   rating=1,2          - exact star ratings
+//   min_rating / max_rating
+//   since / until       - ISO dates or timestamps (a date-only `until` includes that whole day)
+//   version=1.2.3,1.2.4 - app versions the reviews were written for
+//   has_reply=true|false
+//   country=TR,DE       - storefront countries
+//   lang=tr,en          - detected review languages
+//   sentiment=negative  - sentiment labels (positive, neutral, negative)
+//   rating_mismatch=true - star rating contradicts the text
+//   q=kargo             - full-text search on content and title
+
+const SENTIMENT_LABELS = ['positive', 'neutral', 'negative'];
+
+class InvalidFilterError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidFilterError';
+  }
+}
+
+/**
+ * Lowercase with Turkish casing rules and collapse whitespace,
+ * so "İADE" matches "iade" and "KARGO" matches "kargo"
+ */
+function foldSearchText(text) {
+  return String(text || '').toLocaleLowerCase('tr').replace(/\s+/g, ' ').trim();
+}
+
+function parseList(value) {
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseRating(name, value) {
+  const rating = Number(value);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw new InvalidFilterError(`Invalid ${name}: ${value} (expected 1-5)`);
+  }
+  return rating;
+}
+
+function parseDate(name, value, endOfDay) {
+  const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date = new Date(dateOnly ? `${value}T00:00:00Z` : value);
+
+  if (isNaN(date.getTime())) {
+    throw new InvalidFilterError(`Invalid ${name}: ${value} (expected an ISO date)`);
+  }
+
+  if (dateOnly && endOfDay) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date;
+}
+
+function parseBoolean(name, value) {
+  if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+  if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+  throw new InvalidFilterError(`Invalid ${name}: ${value} (expected true or false)`);
+}
+
+/**
+ * Build review filters from request query parameters
+ * @param {Object} query - Express `req.query`
+ * @returns {Object} Filters, empty when the request has none
+ * @throws {InvalidFilterError} When a parameter has an invalid value
+ */
+function parseReviewFilters(query) {
+  const filters = {};
+
+  if (query.rating !== undefined) {
+    filters.ratings = parseList(query.rating).map(value => parseRating('rating', value));
+  }
+  if (query.min_rating !== undefined) {
+    filters.minRating = parseRating('min_rating', query.min_rating);
+  }
+  if (query.max_rating !== undefined) {
+    filters.maxRating = parseRating('max_rating', query.max_rating);
+  }
+  if (query.since !== undefined) {
+    filters.since = parseDate('since', query.since, false);
+  }
+  if (query.until !== undefined) {
+    filters.until = parseDate('until', query.until, true);
+  }
+  if (query.version !== undefined) {
+    filters.versions = parseList(query.version);
+  }
+  if (query.has_reply !== undefined) {
+    filters.hasReply = parseBoolean('has_reply', query.has_reply);
+  }
+  if (query.country !== undefined) {
+    filters.countries = parseList(query.country).map(country => country.toUpperCase());
+  }
+  if (query.lang !== undefined) {
+    filters.languages = parseList(query.lang).map(language => language.toLowerCase());
+  }
+  if (query.sentiment !== undefined) {
+    filters.sentiments = parseList(query.sentiment).map(label => {
+      const value = label.toLowerCase();
+      if (!SENTIMENT_LABELS.includes(value)) {
+        throw new InvalidFilterError(`Invalid sentiment: ${label} (expected ${SENTIMENT_LABELS.join(', ')})`);
+      }
+      return value;
+    });
+  }
+  if (query.rating_mismatch !== undefined) {
+    filters.ratingMismatch = parseBoolean('rating_mismatch', query.rating_mismatch);
+  }
+  if (query.q !== undefined && String(query.q).trim() !== '') {
+    filters.search = foldSearchText(query.q);
+  }
+
+  return filters;
+}
+
+/**
+ * Check a review against parsed filters
+ * @param {Object} review - Review in the unified model
+ * @param {Object} filters - Result of parseReviewFilters
+ * @returns {boolean} True when the review passes every filter
+ */
+function matchesFilters(review, filters) {
+  if (filters.ratings && !filters.ratings.includes(review.rating)) return false;
+  if (filters.minRating && review.rating < filters.minRating) return false;
+  if (filters.maxRating && review.rating > filters.maxRating) return false;
+
+  if (filters.since || filters.until) {
+    // Reviews without a known date cannot be placed in a date range
+    if (!review.date) return false;
+
+    const date = new Date(review.date);
+    if (filters.since && date < filters.since) return false;
+    if (filters.until && date > filters.until) return false;
+  }
+
+  if (filters.versions && !filters.versions.includes(review.version)) return false;
+  if (filters.hasReply !== undefined && Boolean(review.reply) !== filters.hasReply) return false;
+  if (filters.countries && !filters.countries.includes(review.country)) return false;
+  if (filters.languages && !filters.languages.includes(review.language)) return false;
+  if (filters.sentiments) {
+    // Reviews in languages without a sentiment lexicon have no label to match
+    if (!review.sentiment || !filters.sentiments.includes(review.sentiment.label)) return false;
+  }
+  if (filters.ratingMismatch !== undefined && Boolean(review.ratingMismatch) !== filters.ratingMismatch) {
+    return false;
+  }
+
+  if (filters.search) {
+    const text = foldSearchText(`${review.title || ''} ${review.content || ''}`);
+    if (!text.includes(filters.search)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Whether any filter is set
+ */
+function hasFilters(filters) {
+  return Object.keys(filters).length > 0;
+}
+
+module.exports = {
+  InvalidFilterError,
+  parseReviewFilters,
+  matchesFilters,
+  hasFilters
+};
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+/**
+ * Normalize free text so cosmetic differences between sources
+ * (whitespace, casing) do not change a review's identity
+ */
+function normalizeText(text) {
+  return String(text || '')
+    .toLocaleLowerCase('tr')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function hash(parts) {
+  return crypto
+    .createHash('sha1')
+    .update(parts.map(normalizeText).join('\u0000'))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Build a deterministic review ID.
+ * Uses the store's own review ID when there is one, otherwise a content hash,
+ * so the same review gets the same ID on every call and from every source.
+ * @param {string} prefix - Platform prefix ('gp' or 'as')
+ * @param {string|null} storeId - Review ID assigned by the store, if known
+ * @param {Object} review - Review fields used for the content hash
+ * @param {string} review.author
+ * @param {string} review.content
+ * @returns {string} Stable review ID
+ */
+function stableReviewId(prefix, storeId, review) {
+  if (storeId) {
+    // The library reports Play review IDs as "gp:AOqp...", the page uses the bare ID
+    const cleanId = String(storeId).replace(/^gp:/, '').trim();
+    if (cleanId) {
+      return `${prefix}_${cleanId}`;
+    }
+  }
+
+  return `${prefix}_h${hash([review.author, review.content])}`;
+}
+
+/**
+ * Whether an ID was derived from content because the store gave none
+ */
+function isHashId(id) {
+  return /_h[0-9a-f]{16}$/.test(id || '');
+}
+
+/**
+ * Content signature used to match the same review across sources
+ * even when one source knows the store ID and another does not
+ */
+function reviewSignature(review) {
+  return hash([review.platform, review.author, review.content]);
+}
+
+/**
+ * Whether a review matches an already seen one by content signature.
+ * Signatures only count when one side has no store ID: two reviews that both carry
+ * store IDs are different reviews even if the same person wrote the same short text.
+ * @param {Object} review - Review to check
+ * @param {string} signature - reviewSignature(review)
+ * @param {Map} seenSignatures - Signature -> ID of reviews seen so far
+ */
+function matchesSeenSignature(review, signature, seenSignatures) {
+  const matchedId = seenSignatures.get(signature);
+  return Boolean(matchedId) && (isHashId(review.id) || isHashId(matchedId));
+}
+
+/**
+ * Drop reviews already seen by ID or content signature, keeping the first occurrence
+ * @param {Array} reviews - Review objects, most trusted source first
+ * @returns {Array} Deduplicated reviews in their original order
+ */
+function dedupeReviews(reviews) {
+  const seenIds = new Set();
+  const seenSignatures = new Map();
+
+  return reviews.filter(review => {
+    const signature = reviewSignature(review);
+    if (seenIds.has(review.id) || matchesSeenSignature(review, signature, seenSignatures)) {
+      return false;
+    }
+
+    seenIds.add(review.id);
+    if (!seenSignatures.has(signature)) {
+      seenSignatures.set(signature, review.id);
+    }
+    return true;
+  });
+}
+
+module.exports = {
+  stableReviewId,
+  reviewSignature,
+  matchesSeenSignature,
+  dedupeReviews
+};
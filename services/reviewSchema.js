@@ -0,0 +1,161 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { parseReviewDate } = require('./dateParser');
+const { resolveReviewLanguage } = require('./languageDetector');
+const { analyzeSentiment, isRatingMismatch } = require('./sentimentAnalyzer');
+
+/**
+ * The review model every service method returns, regardless of the platform
+ * or the Google Play source (library, internal API, HTML, page JavaScript).
+ *
+ *   id         - Stable review ID ('gp_...' or 'as_...')
+ *   platform   - 'Google Play' or 'App Store'
+ *   author     - Reviewer display name
+ *   rating     - Star rating 1-5, 0 when the source did not expose it
+ *   title      - Review title (App Store only), null otherwise
+ *   content    - Review text
+ *   date       - ISO 8601 UTC timestamp, null when unknown
+ *   dateEstimated - True when the date is relative ("2 gün önce") or could not be determined
+ *   helpful    - Number of "helpful" votes
+ *   language   - Detected language code, the storefront language when detection is not confident
+ *   languageConfidence - Probability (0-1) the detector assigns to `language`
+ *   sentiment  - {score: -1..1, label: 'positive'|'neutral'|'negative'} from the text,
+ *                null for languages without a sentiment lexicon
+ *   ratingMismatch - True when the star rating contradicts the sentiment of the text
+ *   country    - Storefront country code the review was fetched from (e.g., 'TR')
+ *   version    - App version the review was written for, null when unknown
+ *   reply      - Developer reply text, null when there is none
+ *   replyDate  - ISO 8601 UTC timestamp of the developer reply, null when unknown
+ */
+const reviewSchema = {
+  $id: 'review',
+  type: 'object',
+  additionalProperties: true,
+  required: [
+    'id', 'platform', 'author', 'rating', 'title', 'content', 'date', 'dateEstimated',
+    'helpful', 'language', 'languageConfidence',
+    'sentiment', 'ratingMismatch', 'country', 'version', 'reply', 'replyDate'
+  ],
+  properties: {
+    id: { type: 'string', pattern: '^(gp|as)_.+' },
+    platform: { enum: ['Google Play', 'App Store'] },
+    author: { type: 'string', minLength: 1 },
+    rating: { type: 'integer', minimum: 0, maximum: 5 },
+    title: { type: ['string', 'null'] },
+    content: { type: 'string', minLength: 1 },
+    date: { type: ['string', 'null'], format: 'date-time' },
+    dateEstimated: { type: 'boolean' },
+    helpful: { type: 'integer', minimum: 0 },
+    language: { type: 'string', minLength: 2 },
+    languageConfidence: { type: 'number', minimum: 0, maximum: 1 },
+    sentiment: {
+      type: ['object', 'null'],
+      required: ['score', 'label'],
+      properties: {
+        score: { type: 'number', minimum: -1, maximum: 1 },
+        label: { enum: ['positive', 'neutral', 'negative'] }
+      }
+    },
+    ratingMismatch: { type: 'boolean' },
+    country: { type: 'string', pattern: '^[A-Z]{2}$' },
+    version: { type: ['string', 'null'] },
+    reply: { type: ['string', 'null'] },
+    replyDate: { type: ['string', 'null'], format: 'date-time' }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+const validate = ajv.compile(reviewSchema);
+
+function toOptionalString(value) {
+  if (value === null || value === undefined) return null;
+
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+function toCount(value) {
+  if (typeof value === 'number') return Math.max(0, Math.floor(value));
+
+  // Scraped counts come as page text, e.g. "1.234" or "12 kişi bunu faydalı buldu"
+  const digits = String(value || '').replace(/[.,\s]/g, '').match(/\d+/);
+  return digits ? parseInt(digits[0]) : 0;
+}
+
+/**
+ * Coerce a raw review from any source into the review model
+ * @param {Object} raw - Review as produced by a service parser
+ * @returns {Object} Review in the documented shape (not yet validated)
+ */
+function normalizeReview(raw) {
+  const parsedDate = parseReviewDate(raw.date);
+  const text = `${raw.title || ''} ${raw.content || ''}`;
+  const detected = resolveReviewLanguage(text, raw.language ? String(raw.language).toLowerCase() : '');
+  const rating = parseInt(raw.rating) || 0;
+  const sentiment = analyzeSentiment(text, detected.language);
+
+  return Object.assign({}, raw, {
+    id: raw.id,
+    platform: raw.platform,
+    author: toOptionalString(raw.author) || 'Anonymous',
+    rating: rating,
+    title: toOptionalString(raw.title),
+    content: typeof raw.content === 'string' ? raw.content.trim() : '',
+    date: parsedDate.date,
+    dateEstimated: parsedDate.estimated,
+    helpful: toCount(raw.helpful),
+    language: detected.language,
+    languageConfidence: detected.confidence,
+    sentiment: sentiment,
+    ratingMismatch: isRatingMismatch(rating, sentiment),
+    country: raw.country ? String(raw.country).toUpperCase() : '',
+    version: toOptionalString(raw.version),
+    reply: toOptionalString(raw.reply),
+    replyDate: parseReviewDate(raw.replyDate).date
+  });
+}
+
+/**
+ * Validate a review against the schema
+ * @returns {Array<string>} Validation error messages, empty when the review is valid
+ */
+function validateReview(review) {
+  if (validate(review)) return [];
+
+  return validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+/**
+ * Normalize and validate a batch of reviews
+ * @param {Array} rawReviews - Reviews as produced by a service parser
+ * @returns {{reviews: Array, rejected: Array}} Valid reviews, and the IDs and errors of the ones that failed
+ */
+function normalizeReviews(rawReviews) {
+  const reviews = [];
+  const rejected = [];
+
+  rawReviews.forEach(raw => {
+    const review = normalizeReview(raw);
+    const errors = validateReview(review);
+
+    if (errors.length === 0) {
+      reviews.push(review);
+    } else {
+      rejected.push({ id: review.id || null, platform: review.platform || null, errors });
+    }
+  });
+
+  if (rejected.length > 0) {
+    console.warn(`Rejected ${rejected.length} reviews that failed validation:`, rejected.slice(0, 3));
+  }
+
+  return { reviews, rejected };
+}
+
+module.exports = {
+  reviewSchema,
+  normalizeReview,
+  validateReview,
+  normalizeReviews
+};
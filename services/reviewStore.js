@@ -0,0 +1,170 @@
+const path = require('path');
+const JsonFile = require('./jsonFile');
+const { reviewSignature, matchesSeenSignature } = require('./reviewIdentity');
+
+// Review time for ordering; reviews without a readable date come last
+function timeOf(review) {
+  const time = Date.parse(review.date);
+  return isNaN(time) ? 0 : time;
+}
+
+// Sort order of stored reviews: newest first, ties broken by descending ID so the order is total
+function newestFirst(a, b) {
+  return (timeOf(b) - timeOf(a)) || (a.id > b.id ? -1 : a.id < b.id ? 1 : 0);
+}
+
+/**
+ * Embedded file-backed review store.
+ * Each app gets its own JSON file under the data directory holding every
+ * review ever synced (keyed by review ID) plus the sync history.
+ */
+class ReviewStore {
+  /**
+   * @param {string} dataDir - Directory where the store files are kept
+   */
+  constructor(dataDir) {
+    this.dataDir = dataDir;
+    this.files = new Map(); // appKey -> JsonFile
+    this.signatures = new WeakMap(); // loaded state -> Map of content signature -> stored review ID
+  }
+
+  file(appKey) {
+    if (!this.files.has(appKey)) {
+      this.files.set(appKey, new JsonFile(
+        path.join(this.dataDir, `${appKey}.reviews.json`),
+        () => ({ reviews: {}, syncs: [] }),
+        `review store for ${appKey}`
+      ));
+    }
+    return this.files.get(appKey);
+  }
+
+  /**
+   * Content signatures of a loaded state, built on first use
+   */
+  signaturesOf(state) {
+    if (!this.signatures.has(state)) {
+      this.signatures.set(state, new Map(
+        Object.values(state.reviews).map(review => [reviewSignature(review), review.id])
+      ));
+    }
+    return this.signatures.get(state);
+  }
+
+  /**
+   * Whether a batch holds a review that is not stored yet
+   */
+  hasUnseen(state, reviews) {
+    const signatures = this.signaturesOf(state);
+
+    return reviews.some(review => review && review.id && !state.reviews[review.id] &&
+      !matchesSeenSignature(review, reviewSignature(review), signatures));
+  }
+
+  /**
+   * Append reviews that are not in the store yet.
+   * A review counts as seen when its ID, or (for reviews without a store ID) its content
+   * signature, is already stored, so the same review reported by different Google Play
+   * sources is kept once.
+   * @param {string} appKey - Registered app key
+   * @param {Array} reviews - Review objects with a stable `id`
+   * @returns {Promise<Array<string>>} IDs of the newly added reviews
+   */
+  async addReviews(appKey, reviews) {
+    const file = this.file(appKey);
+    // Most syncs only bring reviews that are already stored; skip the write for those
+    if (!this.hasUnseen(await file.read(), reviews)) return [];
+
+    const storedAt = new Date().toISOString();
+    return file.update(state => {
+      const signatures = this.signaturesOf(state);
+      const added = [];
+
+      reviews.forEach(review => {
+        if (!review || !review.id || state.reviews[review.id]) return;
+
+        const signature = reviewSignature(review);
+        if (matchesSeenSignature(review, signature, signatures)) return;
+
+        state.reviews[review.id] = Object.assign({}, review, { stored_at: storedAt });
+        if (!signatures.has(signature)) {
+          signatures.set(signature, review.id);
+        }
+        added.push(review.id);
+      });
+
+      return added;
+    });
+  }
+
+  /**
+   * Get stored reviews, newest first (reviews with the same date by descending ID)
+   * @param {string} appKey - Registered app key
+   * @param {Object} [options]
+   * @param {string} [options.platform] - 'Google Play' or 'App Store'
+   * @param {Function} [options.filter] - Predicate applied before paging
+   * @param {Object} [options.after] - `{date, id}` of the last review of the previous page; only
+   *   reviews after it are returned, so reviews stored between two pages do not shift the pages
+   * @param {number} [options.limit] - Maximum number of reviews to return
+   * @returns {Promise<Array>} Array of review objects
+   */
+  async getReviews(appKey, options = {}) {
+    const state = await this.file(appKey).read();
+
+    let reviews = Object.values(state.reviews);
+    if (options.platform) {
+      reviews = reviews.filter(review => review.platform === options.platform);
+    }
+    if (options.filter) {
+      reviews = reviews.filter(options.filter);
+    }
+    if (options.after) {
+      reviews = reviews.filter(review => newestFirst(review, options.after) > 0);
+    }
+
+    reviews.sort(newestFirst);
+
+    return options.limit ? reviews.slice(0, options.limit) : reviews;
+  }
+
+  /**
+   * Record the outcome of a sync run (only the most recent runs are kept)
+   */
+  async recordSync(appKey, syncInfo) {
+    await this.file(appKey).update(state => {
+      state.syncs.unshift(syncInfo);
+      state.syncs = state.syncs.slice(0, 50);
+    });
+  }
+
+  /**
+   * Recorded sync runs, newest first
+   */
+  async getSyncs(appKey) {
+    const state = await this.file(appKey).read();
+    return state.syncs;
+  }
+
+  /**
+   * Most recent sync run, or null when the app has never been synced
+   */
+  async getLastSync(appKey) {
+    const state = await this.file(appKey).read();
+    return state.syncs[0] || null;
+  }
+
+  /**
+   * Stored review counts per platform
+   */
+  async countReviews(appKey) {
+    const state = await this.file(appKey).read();
+
+    return Object.values(state.reviews).reduce((acc, review) => {
+      acc[review.platform] = (acc[review.platform] || 0) + 1;
+      acc.total++;
+      return acc;
+    }, { total: 0 });
+  }
+}
+
+module.exports = ReviewStore;
@@ -0,0 +1,109 @@
+const { InvalidFilterError } = require('./reviewFilters');
+
+// Streaming output for the review routes. Reviews are written as they are read instead
+// of being collected into one response object:
+//   ndjson - one JSON object per line with a `type` field ('review', 'summary', 'error')
+//   sse    - Server-Sent Events, the same objects as `data` of named events
+
+const STREAM_FORMATS = {
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  sse: 'text/event-stream; charset=utf-8'
+};
+
+// Accept header values that ask for a stream without ?stream=
+const ACCEPT_FORMATS = {
+  'application/x-ndjson': 'ndjson',
+  'text/event-stream': 'sse'
+};
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @returns {Promise<boolean>} False when the stream was closed (client went away)
+ */
+function write(stream, chunk) {
+  if (stream.destroyed) return Promise.resolve(false);
+  if (stream.write(chunk)) return Promise.resolve(true);
+
+  return new Promise(resolve => {
+    const done = () => {
+      stream.removeListener('drain', done);
+      stream.removeListener('close', done);
+      resolve(!stream.destroyed);
+    };
+    stream.once('drain', done);
+    stream.once('close', done);
+  });
+}
+
+/**
+ * Streaming format a request asks for via ?stream= or the Accept header
+ * @param {Object} req - Express request
+ * @returns {string|null} 'ndjson', 'sse' or null for a regular JSON response
+ * @throws {InvalidFilterError} When ?stream= has an unknown value
+ */
+function streamFormatFromRequest(req) {
+  const format = req.query.stream;
+
+  if (format !== undefined) {
+    if (!STREAM_FORMATS[format]) {
+      throw new InvalidFilterError(`Invalid stream: ${format} (expected ${Object.keys(STREAM_FORMATS).join(' or ')})`);
+    }
+    return format;
+  }
+
+  const accept = (req.get('Accept') || '').split(',').map(type => type.split(';')[0].trim());
+  const match = accept.find(type => ACCEPT_FORMATS[type]);
+  return match ? ACCEPT_FORMATS[match] : null;
+}
+
+/**
+ * Typed events written to an HTTP response as NDJSON lines or SSE events
+ */
+class EventStream {
+  /**
+   * @param {Object} res - Express response
+   * @param {string} format - 'ndjson' or 'sse'
+   */
+  constructor(res, format) {
+    this.res = res;
+    this.format = format;
+  }
+
+  // True once the client has gone away; producers should stop reading
+  get closed() {
+    return this.res.destroyed;
+  }
+
+  open() {
+    this.res.set({
+      'Content-Type': STREAM_FORMATS[this.format],
+      'Cache-Control': 'no-cache',
+      // Keep reverse proxies (nginx) from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    this.res.flushHeaders();
+  }
+
+  /**
+   * @param {string} type - Event type
+   * @param {Object} data - Event payload
+   * @returns {Promise<boolean>} False when the client has gone away
+   */
+  send(type, data) {
+    if (this.format === 'sse') {
+      return write(this.res, `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+    return write(this.res, JSON.stringify(Object.assign({ type }, data)) + '\n');
+  }
+
+  end() {
+    if (!this.res.writableEnded) this.res.end();
+  }
+}
+
+module.exports = {
+  STREAM_FORMATS,
+  write,
+  streamFormatFromRequest,
+  EventStream
+};
@@ -0,0 +1,183 @@
+const cronParser = require('cron-parser');
+
+// setTimeout cannot wait longer than this; longer waits are re-armed in steps
+const MAX_TIMEOUT = 2147483647;
+
+/**
+ * In-process job scheduler with cron expressions (evaluated in UTC) and random jitter.
+ * A job never overlaps itself: when its next run comes up while the previous one is
+ * still going, that run is skipped and counted.
+ */
+class Scheduler {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.jitter] - Default maximum random delay in seconds added to every run
+   */
+  constructor(options = {}) {
+    this.jitter = options.jitter || 0;
+    this.jobs = new Map(); // job id -> job state
+    this.started = false;
+  }
+
+  /**
+   * Register a job
+   * @param {Object} job
+   * @param {string} job.id - Unique job ID
+   * @param {string} job.cron - Five-field cron expression, e.g. '0 * * * *' for hourly
+   * @param {Function} job.run - Async function resolving to `{records, failures}`
+   * @param {number} [job.jitter] - Maximum random delay in seconds, overrides the default
+   * @param {Object} [job.labels] - Extra fields shown in the job status (app, type, storefronts)
+   */
+  add(job) {
+    if (this.jobs.has(job.id)) {
+      throw new Error(`Job "${job.id}" is already registered`);
+    }
+
+    // Throws on an invalid expression, so bad config fails at startup
+    cronParser.parseExpression(job.cron, { tz: 'UTC' });
+
+    this.jobs.set(job.id, {
+      id: job.id,
+      cron: job.cron,
+      run: job.run,
+      jitter: job.jitter !== undefined ? job.jitter : this.jitter,
+      labels: job.labels || {},
+      timer: null,
+      running: null,
+      nextRun: null,
+      lastRun: null,
+      runs: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      skipped: 0
+    });
+
+    if (this.started) {
+      this.schedule(this.jobs.get(job.id));
+    }
+  }
+
+  start() {
+    this.started = true;
+    this.jobs.forEach(job => this.schedule(job));
+  }
+
+  stop() {
+    this.started = false;
+    this.jobs.forEach(job => {
+      clearTimeout(job.timer);
+      job.timer = null;
+      job.nextRun = null;
+    });
+  }
+
+  /**
+   * Arm the timer for the job's next cron time plus jitter
+   */
+  schedule(job, now = new Date()) {
+    const next = cronParser.parseExpression(job.cron, { currentDate: now, tz: 'UTC' }).next().toDate();
+    job.nextRun = new Date(next.getTime() + Math.floor(Math.random() * job.jitter * 1000));
+    this.arm(job);
+  }
+
+  arm(job) {
+    const wait = job.nextRun.getTime() - Date.now();
+
+    job.timer = setTimeout(() => {
+      if (job.nextRun.getTime() > Date.now()) {
+        this.arm(job);
+        return;
+      }
+
+      this.trigger(job).catch(() => {});
+      this.schedule(job);
+    }, Math.max(0, Math.min(wait, MAX_TIMEOUT)));
+
+    // Pending timers must not keep a script alive
+    if (job.timer.unref) job.timer.unref();
+  }
+
+  /**
+   * Run a job now unless it is already running
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} The finished run, or null when the job was busy and the run was skipped
+   */
+  runNow(id) {
+    const job = this.jobs.get(id);
+    if (!job) {
+      return Promise.reject(new Error(`Unknown job: ${id}`));
+    }
+    return this.trigger(job);
+  }
+
+  async trigger(job) {
+    if (job.running) {
+      job.skipped++;
+      console.log(`⏭️  Job ${job.id} is still running, skipping this run`);
+      return null;
+    }
+
+    const startedAt = new Date();
+    const run = {
+      started_at: startedAt.toISOString(),
+      finished_at: null,
+      duration_ms: null,
+      success: false,
+      records: 0,
+      failures: [],
+      error: null
+    };
+
+    job.running = (async () => {
+      try {
+        const result = await job.run() || {};
+        run.records = result.records || 0;
+        run.failures = result.failures || [];
+        run.success = run.failures.length === 0;
+      } catch (error) {
+        run.error = error.message;
+        run.failures = [error.message];
+      }
+    })();
+
+    try {
+      await job.running;
+    } finally {
+      job.running = null;
+    }
+
+    run.finished_at = new Date().toISOString();
+    run.duration_ms = Date.now() - startedAt.getTime();
+
+    job.runs++;
+    job.lastRun = run;
+    if (run.success) {
+      job.consecutiveFailures = 0;
+    } else {
+      job.failures++;
+      job.consecutiveFailures++;
+      console.error(`Job ${job.id} failed: ${run.failures.join('; ')}`);
+    }
+
+    return run;
+  }
+
+  /**
+   * Status of every job
+   */
+  list() {
+    return Array.from(this.jobs.values()).map(job => Object.assign({ id: job.id }, job.labels, {
+      cron: job.cron,
+      jitter_seconds: job.jitter,
+      running: Boolean(job.running),
+      next_run: job.nextRun ? job.nextRun.toISOString() : null,
+      last_run: job.lastRun,
+      runs: job.runs,
+      failed_runs: job.failures,
+      consecutive_failures: job.consecutiveFailures,
+      skipped_runs: job.skipped
+    }));
+  }
+}
+
+module.exports = Scheduler;
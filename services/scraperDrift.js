@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const JsonFile = require('./jsonFile');
+const DEFAULT_SELECTORS = require('../models/playStoreSelectors.json');
+
+// Google Play is scraped with obfuscated class names that change without notice. Every
+// scraped page gets a structural fingerprint: how many elements each configured selector
+// matches, plus a hash of the tag and class names the page uses. A page has drifted when
+//   missing - a required field (or the review container) matches nothing
+//   stopped - a selector that matched on the last healthy page of its kind matches nothing
+// Reviews read from a page's AF_initDataCallback data need no selectors, so on such a page the
+// review container and fields are counted but not required.
+// Drifted pages are saved under <dataDir>/scraper-samples for debugging. The selectors live in
+// models/playStoreSelectors.json; settings.scraper.selectorsFile replaces them without a code change.
+
+const MAX_SAMPLES = 20;
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+// A selector list from the selectors file, rejected when cheerio cannot parse one of them
+function checkList(source, name, value) {
+  const list = toList(value);
+  const $ = cheerio.load('');
+
+  if (list.length === 0 || list.some(selector => typeof selector !== 'string' || !selector.trim())) {
+    throw new Error(`Invalid scraper selectors in ${source}: ${name} must be a selector or a list of selectors`);
+  }
+  list.forEach(selector => {
+    try {
+      $(selector);
+    } catch (error) {
+      throw new Error(`Invalid scraper selector in ${source}: ${name} "${selector}" (${error.message})`);
+    }
+  });
+
+  return list;
+}
+
+/**
+ * Selectors for the scraped Google Play pages: models/playStoreSelectors.json, with the
+ * containers and fields of an override file replacing the defaults
+ * @param {string} [file] - JSON file shaped like models/playStoreSelectors.json; only the
+ *   pages and fields it names are replaced
+ * @returns {Object} Selectors per page kind ('reviews_api', 'reviews_web', 'app_info_web')
+ * @throws {Error} When the file cannot be read or holds an invalid selector
+ */
+function loadSelectors(file) {
+  const selectors = JSON.parse(JSON.stringify(DEFAULT_SELECTORS));
+  if (!file) return selectors;
+
+  let overrides;
+  try {
+    overrides = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to load scraper selectors from ${file}: ${error.message}`);
+  }
+
+  Object.entries(overrides).forEach(([pageName, page]) => {
+    const target = selectors[pageName];
+    if (!target) {
+      throw new Error(`Unknown page "${pageName}" in ${file} (expected ${Object.keys(selectors).join(', ')})`);
+    }
+
+    if (page.container !== undefined) {
+      target.container = checkList(file, `${pageName}.container`, page.container);
+    }
+    Object.entries(page.fields || {}).forEach(([field, list]) => {
+      target.fields[field] = checkList(file, `${pageName}.fields.${field}`, list);
+    });
+    if (page.optional) target.optional = toList(page.optional);
+    if (page.labels) {
+      if (typeof page.labels !== 'object' || Object.values(page.labels).some(language => typeof language !== 'string')) {
+        throw new Error(`Invalid scraper selectors in ${file}: ${pageName}.labels must map fields to a language`);
+      }
+      target.labels = page.labels;
+    }
+  });
+
+  return selectors;
+}
+
+// Element count and a hash of the distinct tag and class names; the hash stays the same
+// across pages with different reviews and changes when the markup does
+function structureOf($) {
+  const tags = new Set();
+  const classes = new Set();
+  let elements = 0;
+
+  $('*').each((index, element) => {
+    elements++;
+    tags.add(element.tagName);
+    ($(element).attr('class') || '').split(/\s+/).filter(Boolean).forEach(name => classes.add(name));
+  });
+
+  const signature = `${Array.from(tags).sort().join(',')}|${Array.from(classes).sort().join(',')}`;
+  return {
+    elements: elements,
+    classes: classes.size,
+    hash: crypto.createHash('sha1').update(signature).digest('hex').slice(0, 16)
+  };
+}
+
+// Matches of every selector in a list and of the list as a whole, counted within `scopes`
+// (the review containers) or across the page
+function countMatches($, list, scopes) {
+  const count = selector => scopes ?
+    scopes.filter((index, element) => $(element).find(selector).length > 0).length :
+    $(selector).length;
+
+  const selectors = {};
+  toList(list).forEach(selector => {
+    selectors[selector] = count(selector);
+  });
+
+  return { matches: count(toList(list).join(', ')), selectors: selectors };
+}
+
+// Fields that may match nothing: the optional ones, and fields selected by a label text
+// (`labels`, field -> language) on a page in another language
+function optionalFields(selectors, language) {
+  const labelled = Object.entries(selectors.labels || {})
+    .filter(([, labelLanguage]) => language && labelLanguage !== language)
+    .map(([field]) => field);
+  return (selectors.optional || []).concat(labelled);
+}
+
+/**
+ * Structural fingerprint of a scraped page
+ * @param {string} page - Page kind: 'reviews_api', 'reviews_web' or 'app_info_web'
+ * @param {string} html - The page as fetched
+ * @param {Object} selectors - The page kind's selectors (`{container, fields, labels, optional}`)
+ * @param {Object} [options]
+ * @param {Array} [options.javascriptReviews] - Reviews read from the page's AF_initDataCallback
+ *   data, whose fields are guessed rather than selected
+ * @param {string} [options.language] - Language the page was requested in
+ * @returns {Object} `{page, taken_at, title, length, structure, source, container, fields, javascript, missing}`;
+ *   `source` is 'javascript' when the reviews were read from the page data, else 'html'
+ */
+function fingerprintPage(page, html, selectors, options = {}) {
+  const $ = cheerio.load(html);
+  const fromJavaScript = Boolean(options.javascriptReviews && options.javascriptReviews.length > 0);
+  const optional = optionalFields(selectors, options.language);
+  const fingerprint = {
+    page: page,
+    taken_at: new Date().toISOString(),
+    title: $('title').text().trim() || null,
+    length: html.length,
+    structure: structureOf($),
+    source: fromJavaScript ? 'javascript' : 'html',
+    container: null,
+    fields: {},
+    missing: []
+  };
+
+  // Fields are counted per review container: how many reviews each field was found in
+  let scopes = null;
+  if (selectors.container) {
+    const counts = {};
+    toList(selectors.container).forEach(selector => {
+      counts[selector] = $(selector).length;
+    });
+
+    // Like the scraper, the first container selector with matches wins
+    const used = toList(selectors.container).find(selector => counts[selector] > 0);
+    scopes = used ? $(used) : $([]);
+    fingerprint.container = { matches: scopes.length, selectors: counts };
+    if (!used && !fromJavaScript) fingerprint.missing.push('container');
+  }
+
+  Object.entries(selectors.fields).forEach(([field, list]) => {
+    fingerprint.fields[field] = countMatches($, list, scopes);
+    if (fingerprint.fields[field].matches === 0 && !fromJavaScript && !optional.includes(field)) {
+      fingerprint.missing.push(field);
+    }
+  });
+
+  // Review arrays in the page data are recognized by string lengths, so a format change
+  // shows up as reviews without a rating or date rather than as an error
+  if (options.javascriptReviews) {
+    const reviews = options.javascriptReviews;
+    fingerprint.javascript = {
+      blocks: (html.match(/AF_initDataCallback\(/g) || []).length,
+      reviews: reviews.length,
+      with_rating: reviews.filter(review => review.rating > 0).length,
+      with_date: reviews.filter(review => review.date).length
+    };
+
+    if (fingerprint.javascript.blocks === 0) fingerprint.missing.push('javascript');
+    if (reviews.length > 0 && fingerprint.javascript.with_rating === 0) fingerprint.missing.push('javascript.rating');
+    if (reviews.length > 0 && fingerprint.javascript.with_date === 0) fingerprint.missing.push('javascript.date');
+  }
+
+  return fingerprint;
+}
+
+// Selectors of required fields (and the container) that matched on `baseline` but not on `current`
+function stoppedSelectors(baseline, current, optional) {
+  const stopped = [];
+  const compare = (field, before, now) => {
+    if (!before || !now) return;
+    Object.entries(before.selectors).forEach(([selector, count]) => {
+      if (count > 0 && now.selectors[selector] === 0) stopped.push({ field, selector });
+    });
+  };
+
+  compare('container', baseline.container, current.container);
+  Object.keys(current.fields).filter(field => !optional.includes(field)).forEach(field => {
+    compare(field, baseline.fields[field], current.fields[field]);
+  });
+
+  return stopped;
+}
+
+/**
+ * Drift detection for scraped pages: fingerprints every page, compares it with the last
+ * healthy page of its kind and keeps drifted pages on disk. The state is kept in
+ * `scraper-drift.json` under the data directory (in memory only without one).
+ */
+class ScraperDrift {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dataDir] - Where the state and page samples are kept
+   * @param {number} [options.maxSamples] - Drifted pages kept per page kind
+   */
+  constructor({ dataDir, maxSamples } = {}) {
+    this.dataDir = dataDir || null;
+    this.maxSamples = maxSamples || MAX_SAMPLES;
+    this.file = new JsonFile(
+      this.dataDir ? path.join(this.dataDir, 'scraper-drift.json') : null,
+      () => ({ pages: {} }),
+      'scraper drift state'
+    );
+  }
+
+  samplesDir() {
+    return path.join(this.dataDir, 'scraper-samples');
+  }
+
+  /**
+   * Fingerprint a scraped page and check it for drift
+   * @param {string} page - Page kind
+   * @param {string} html - The page as fetched
+   * @param {Object} selectors - The page kind's selectors
+   * @param {Object} [options] - See fingerprintPage
+   * @returns {Promise<Object>} See check
+   */
+  inspect(page, html, selectors, options = {}) {
+    return this.check(fingerprintPage(page, html, selectors, options), html, optionalFields(selectors, options.language));
+  }
+
+  /**
+   * Compare a fingerprint with the last healthy page of its kind. A healthy page becomes the
+   * new baseline, a drifted one is saved as a sample.
+   * @param {Object} fingerprint - fingerprintPage result
+   * @param {string} html - The page, saved when it drifted
+   * @param {Array<string>} [optional] - Fields whose selectors may stop matching
+   * @returns {Promise<Object>} `{page, checked_at, drifted, missing, stopped, structure_changed, sample}`;
+   *   `stopped` lists `{field, selector}` pairs, `sample` the saved file name
+   */
+  async check(fingerprint, html, optional = []) {
+    const state = await this.file.read();
+    const baseline = state.pages[fingerprint.page] ? state.pages[fingerprint.page].baseline : null;
+
+    // The selectors did not read the reviews of a page read from its data, so none of them stopped
+    const stopped = baseline && fingerprint.source !== 'javascript' ? stoppedSelectors(baseline, fingerprint, optional) : [];
+    const result = {
+      page: fingerprint.page,
+      checked_at: fingerprint.taken_at,
+      drifted: fingerprint.missing.length > 0 || stopped.length > 0,
+      missing: fingerprint.missing,
+      stopped: stopped,
+      structure_changed: Boolean(baseline) && baseline.structure.hash !== fingerprint.structure.hash,
+      sample: null
+    };
+
+    if (result.drifted) {
+      result.sample = await this.saveSample(fingerprint, html);
+
+      const details = result.missing.concat(stopped.map(item => `${item.field} ${item.selector}`));
+      console.log(`⚠️  Scraper drift on ${fingerprint.page} ("${fingerprint.title || 'untitled'}"): ${details.join(', ')}`);
+    }
+
+    await this.file.update(current => {
+      const entry = current.pages[fingerprint.page] ||
+        (current.pages[fingerprint.page] = { checks: 0, drifts: 0, baseline: null, last: null, last_drift: null });
+
+      entry.checks++;
+      entry.last = fingerprint;
+      if (result.drifted) {
+        entry.drifts++;
+        entry.last_drift = result;
+      } else {
+        entry.baseline = fingerprint;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Save a drifted page and its fingerprint, keeping the newest `maxSamples` per page kind
+   * @returns {Promise<string|null>} File name of the saved page, null without a data directory
+   */
+  async saveSample(fingerprint, html) {
+    if (!this.dataDir) return null;
+
+    const dir = this.samplesDir();
+    const name = `${fingerprint.page}-${fingerprint.taken_at.replace(/[:.]/g, '-')}`;
+
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `${name}.html`), html);
+    await fs.promises.writeFile(path.join(dir, `${name}.json`), JSON.stringify(fingerprint, null, 2));
+
+    const samples = await this.listSamples(fingerprint.page);
+    await Promise.all(samples.slice(this.maxSamples).map(sample => Promise.all([
+      fs.promises.unlink(path.join(dir, sample)),
+      fs.promises.unlink(path.join(dir, sample.replace(/\.html$/, '.json'))).catch(() => {})
+    ])));
+
+    return `${name}.html`;
+  }
+
+  /**
+   * Saved page samples of a page kind, newest first
+   */
+  async listSamples(page) {
+    if (!this.dataDir) return [];
+
+    try {
+      const files = await fs.promises.readdir(this.samplesDir());
+      return files.filter(file => file.startsWith(`${page}-`) && file.endsWith('.html')).sort().reverse();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Drift state of every page kind that has been checked
+   */
+  async status() {
+    const state = await this.file.read();
+
+    return Promise.all(Object.entries(state.pages).map(async ([page, entry]) => ({
+      page: page,
+      drifted: Boolean(entry.last_drift && entry.last && entry.last_drift.checked_at === entry.last.taken_at),
+      checks: entry.checks,
+      drifts: entry.drifts,
+      last_checked_at: entry.last ? entry.last.taken_at : null,
+      baseline_at: entry.baseline ? entry.baseline.taken_at : null,
+      last_drift: entry.last_drift,
+      fingerprint: entry.last,
+      samples: await this.listSamples(page)
+    })));
+  }
+}
+
+module.exports = {
+  ScraperDrift,
+  loadSelectors,
+  fingerprintPage
+};
@@ -0,0 +1,201 @@
+const lexicon = require('../models/sentimentLexicon.json');
+
+// Offline lexicon-based sentiment for Turkish and English reviews.
+// Word valences live in models/sentimentLexicon.json. Turkish words are matched by stem
+// ("güzeldi", "sorunlar"), English words exactly. Negations flip a word ("not good",
+// "sorun yok", "beğenmedim"), intensifiers scale it ("çok kötü") and the clause after a
+// contrast word weighs more than the one before it ("güzel ama sürekli çöküyor").
+
+// Dampens the raw valence sum into -1..1, as in VADER
+const NORMALIZATION_ALPHA = 15;
+
+// Scores within ±LABEL_THRESHOLD are neutral
+const LABEL_THRESHOLD = 0.1;
+
+const NEGATION_FACTOR = -0.75;
+const BEFORE_CONTRAST_FACTOR = 0.5;
+const AFTER_CONTRAST_FACTOR = 1.5;
+
+// Turkish verb suffixes that confirm a stem is used as a verb, e.g. beğen-iyorum, sev-dim
+const TURKISH_VERB_SUFFIX = /^([ıiuü]yor|[dt][ıiuü]|m[aeıiuü]|[ae]c[ae][kğ]|[ae]r|[ae]m[aeıiuü])/;
+
+// The "without" suffix turns a word into its opposite: uygun-suz, güven-siz (words the lexicon
+// lists itself, like "sorunsuz", are matched before their stem)
+const TURKISH_PRIVATIVE = /^s[ıiuü]z/;
+
+// Negative verb forms: beğen-medim, gel-miyor, gir-emiyorum (but not the infinitive beğen-mek
+// or the evidential gel-miş)
+const TURKISH_NEGATED_VERB = /^(m[aeıiuü](?![kş])|[ae]m[aeıiuü])/;
+
+const languages = Object.entries(lexicon).reduce((acc, [language, entry]) => {
+  acc[language] = Object.assign({}, entry, {
+    negators: new Set(entry.negators),
+    contrast: new Set(entry.contrast),
+    // Longest stem first so "sorunsuz" wins over "sorun"
+    stems: Object.keys(entry.words).sort((a, b) => b.length - a.length)
+  });
+  return acc;
+}, {});
+
+// Token marking a clause boundary; negations do not reach across it
+const BOUNDARY = '|';
+
+function tokenize(text, language) {
+  return String(text || '')
+    .replace(/['’`]/g, '')
+    .replace(/[,.;:!?()]+/g, ` ${BOUNDARY} `)
+    .toLocaleLowerCase(language === 'tr' ? 'tr' : 'en')
+    .split(/[^\p{L}\p{N}|]+/u)
+    .filter(Boolean);
+}
+
+function lookupWord(model, language, token) {
+  if (model.words[token] !== undefined) return model.words[token];
+  if (language !== 'tr') return null;
+
+  const stem = model.stems.find(candidate => token.startsWith(candidate));
+  if (stem) {
+    return TURKISH_PRIVATIVE.test(token.slice(stem.length)) ? -model.words[stem] : model.words[stem];
+  }
+
+  for (const [verb, valence] of Object.entries(model.verbs)) {
+    if (!token.startsWith(verb)) continue;
+
+    const suffix = token.slice(verb.length);
+    if (TURKISH_NEGATED_VERB.test(suffix)) {
+      return model.negatedVerbs[verb] !== undefined ? model.negatedVerbs[verb] : -valence;
+    }
+    if (TURKISH_VERB_SUFFIX.test(suffix) && valence !== 0) {
+      return valence;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Valence of the word or two-word phrase starting at `index`
+ * @returns {{valence: number, length: number}|null} Valence and number of tokens consumed
+ */
+function lookupPhrase(model, language, tokens, index) {
+  if (index + 1 < tokens.length) {
+    const phrase = `${tokens[index]} ${tokens[index + 1]}`;
+    const stem = language === 'tr' ?
+      model.stems.find(candidate => candidate.includes(' ') && phrase.startsWith(candidate)) :
+      (model.words[phrase] !== undefined ? phrase : null);
+
+    if (stem) {
+      return { valence: model.words[stem], length: 2 };
+    }
+  }
+
+  const valence = lookupWord(model, language, tokens[index]);
+  return valence === null ? null : { valence, length: 1 };
+}
+
+function intensifierBefore(model, tokens, index) {
+  if (index >= 2) {
+    const phrase = `${tokens[index - 2]} ${tokens[index - 1]}`;
+    if (model.intensifiers[phrase]) return model.intensifiers[phrase];
+  }
+  return index >= 1 ? model.intensifiers[tokens[index - 1]] || 1 : 1;
+}
+
+function isNegated(model, language, tokens, index, length) {
+  // Turkish negates after the word ("iyi değil", "sorun yok"), English before it ("not good")
+  if (language === 'tr') {
+    return model.negators.has(tokens[index + length]);
+  }
+  for (let i = index - 1; i >= Math.max(0, index - 3) && tokens[i] !== BOUNDARY; i--) {
+    if (model.negators.has(tokens[i])) return true;
+  }
+  return false;
+}
+
+/**
+ * Score the sentiment of review text
+ * @param {string} text - Review title and content
+ * @param {string} language - Review language code ('tr' or 'en')
+ * @returns {{score: number, label: string}|null} Score in -1..1 and 'positive', 'neutral' or 'negative';
+ *   null when the language is not supported
+ */
+function analyzeSentiment(text, language) {
+  const model = languages[language];
+  if (!model) return null;
+
+  const tokens = tokenize(text, language);
+
+  let contrastIndex = -1;
+  tokens.forEach((token, index) => {
+    if (model.contrast.has(token)) contrastIndex = index;
+  });
+
+  let sum = 0;
+  for (let index = 0; index < tokens.length; index++) {
+    const match = lookupPhrase(model, language, tokens, index);
+    if (!match) continue;
+
+    let valence = match.valence * intensifierBefore(model, tokens, index);
+
+    if (isNegated(model, language, tokens, index, match.length)) {
+      valence *= NEGATION_FACTOR;
+    }
+    if (contrastIndex !== -1) {
+      valence *= index < contrastIndex ? BEFORE_CONTRAST_FACTOR : AFTER_CONTRAST_FACTOR;
+    }
+
+    sum += valence;
+    index += match.length - 1;
+  }
+
+  const score = Math.round((sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA)) * 100) / 100;
+  let label = 'neutral';
+  if (score > LABEL_THRESHOLD) label = 'positive';
+  if (score < -LABEL_THRESHOLD) label = 'negative';
+
+  return { score, label };
+}
+
+/**
+ * Whether the star rating contradicts the text, e.g. 5 stars for "the app keeps crashing"
+ * @param {number} rating - Star rating 1-5 (0 when unknown)
+ * @param {{label: string}|null} sentiment - Result of analyzeSentiment
+ */
+function isRatingMismatch(rating, sentiment) {
+  if (!sentiment || !rating) return false;
+
+  return (rating >= 4 && sentiment.label === 'negative') ||
+    (rating <= 2 && sentiment.label === 'positive');
+}
+
+/**
+ * Aggregate review sentiment for statistics
+ * @param {Array} reviews - Reviews in the unified model
+ * @returns {Object} Label counts, average score and rating mismatch count
+ */
+function summarizeSentiment(reviews) {
+  const summary = { analyzed: 0, positive: 0, neutral: 0, negative: 0, average_score: null, rating_mismatches: 0 };
+  let total = 0;
+
+  reviews.forEach(review => {
+    if (!review.sentiment) return;
+
+    summary.analyzed++;
+    summary[review.sentiment.label]++;
+    total += review.sentiment.score;
+    if (review.ratingMismatch) summary.rating_mismatches++;
+  });
+
+  if (summary.analyzed > 0) {
+    summary.average_score = Math.round((total / summary.analyzed) * 100) / 100;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  analyzeSentiment,
+  isRatingMismatch,
+  summarizeSentiment,
+  supportedLanguages: Object.keys(languages)
+};
@@ -0,0 +1,151 @@
+const { NotFoundError, SourceUnavailableError } = require('./storeErrors');
+
+// Health of every data source (google-play-scraper, the internal getreviews endpoint,
+// web scraping, the iTunes feeds) with a circuit breaker per source:
+//   closed    - the source is used normally
+//   open      - it failed `failureThreshold` times in a row and is skipped until `cooldown` passes
+//   half_open - the cooldown passed; the next call is a trial that closes or reopens the circuit
+
+class SourceHealth {
+  /**
+   * @param {Object} [options] - `settings.sources` from config.js
+   * @param {number} [options.failureThreshold] - Consecutive failures that open a circuit
+   * @param {number} [options.cooldown] - Seconds an open circuit skips its source
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldown = (options.cooldown || 600) * 1000;
+    this.sources = new Map(); // source name -> state
+  }
+
+  state(name) {
+    if (!this.sources.has(name)) {
+      this.sources.set(name, {
+        name,
+        circuit: 'closed',
+        openUntil: null,
+        attempts: 0,
+        successes: 0,
+        failures: 0,
+        empty: 0,
+        skipped: 0,
+        consecutiveFailures: 0,
+        totalLatency: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        lastError: null
+      });
+    }
+    return this.sources.get(name);
+  }
+
+  /**
+   * Whether a source may be called now; moves an open circuit to half-open once its cooldown passed
+   */
+  isAvailable(name) {
+    const source = this.state(name);
+
+    if (source.circuit === 'open' && Date.now() >= source.openUntil.getTime()) {
+      source.circuit = 'half_open';
+    }
+    return source.circuit !== 'open';
+  }
+
+  /**
+   * Record the outcome of one call
+   * @param {string} name - Source name
+   * @param {Object} outcome - `{ok, latency, error, empty}`; `empty` marks a successful call that found nothing
+   */
+  record(name, outcome) {
+    const source = this.state(name);
+    source.attempts++;
+    source.totalLatency += outcome.latency || 0;
+
+    if (outcome.ok) {
+      source.successes++;
+      if (outcome.empty) source.empty++;
+      source.consecutiveFailures = 0;
+      source.lastSuccessAt = new Date();
+      if (source.circuit !== 'closed') {
+        console.log(`✅ Source ${name} recovered, circuit closed`);
+      }
+      source.circuit = 'closed';
+      source.openUntil = null;
+      return;
+    }
+
+    source.failures++;
+    source.consecutiveFailures++;
+    source.lastFailureAt = new Date();
+    source.lastError = outcome.error ? outcome.error.message || String(outcome.error) : null;
+
+    // A failed trial reopens right away; a closed circuit opens at the threshold
+    if (source.circuit === 'half_open' || source.consecutiveFailures >= this.failureThreshold) {
+      source.circuit = 'open';
+      source.openUntil = new Date(Date.now() + this.cooldown);
+      console.log(`⚠️  Source ${name} failed ${source.consecutiveFailures} times in a row, skipping it until ${source.openUntil.toISOString()}`);
+    }
+  }
+
+  /**
+   * Call a source through its circuit breaker and record the outcome
+   * @param {string} name - Source name
+   * @param {Function} fn - Async call to the source
+   * @param {Function} [isEmpty] - Tells whether a result found nothing (counted, but not a failure)
+   * @returns {Promise<*>} The call's result
+   * @throws {SourceUnavailableError} When the source is being skipped
+   */
+  async run(name, fn, isEmpty = () => false) {
+    if (!this.isAvailable(name)) {
+      const source = this.state(name);
+      source.skipped++;
+      throw new SourceUnavailableError(
+        `Source ${name} is skipped after repeated failures (circuit open until ${source.openUntil.toISOString()})`,
+        { retryAfter: Math.ceil((source.openUntil.getTime() - Date.now()) / 1000) }
+      );
+    }
+
+    const startedAt = Date.now();
+    try {
+      const result = await fn();
+      this.record(name, { ok: true, latency: Date.now() - startedAt, empty: isEmpty(result) });
+      return result;
+    } catch (error) {
+      // A listing the store does not have is an answer, not a broken source
+      const answered = error instanceof NotFoundError;
+      this.record(name, { ok: answered, latency: Date.now() - startedAt, error, empty: answered });
+      throw error;
+    }
+  }
+
+  /**
+   * State of every source that has been used
+   */
+  list() {
+    return Array.from(this.sources.values()).map(source => {
+      // Report an expired cooldown as half-open without waiting for the next call
+      this.isAvailable(source.name);
+
+      return {
+        source: source.name,
+        circuit: source.circuit,
+        open_until: source.openUntil ? source.openUntil.toISOString() : null,
+        attempts: source.attempts,
+        successes: source.successes,
+        failures: source.failures,
+        empty_results: source.empty,
+        skipped: source.skipped,
+        success_rate: source.attempts > 0 ? Math.round((source.successes / source.attempts) * 1000) / 1000 : null,
+        consecutive_failures: source.consecutiveFailures,
+        average_latency_ms: source.attempts > 0 ? Math.round(source.totalLatency / source.attempts) : null,
+        last_success_at: source.lastSuccessAt ? source.lastSuccessAt.toISOString() : null,
+        last_failure_at: source.lastFailureAt ? source.lastFailureAt.toISOString() : null,
+        last_error: source.lastError
+      };
+    });
+  }
+}
+
+module.exports = {
+  SourceHealth
+};
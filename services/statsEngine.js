@@ -0,0 +1,165 @@
+const { summarizeSentiment } = require('./sentimentAnalyzer');
+const { bucketStart, bucketRange } = require('./timeBuckets');
+
+// Review statistics computed the same way for every platform, over whatever set of
+// reviews the caller passes in (usually every stored review inside the requested window).
+
+const HOUR = 60 * 60 * 1000;
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mean(values) {
+  if (values.length === 0) return null;
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Review count for every day of the window, zeros included. The axis starts no earlier than
+ * the first review and ends no later than today, so an open-ended window such as
+ * since=0001-01-01&until=9999-12-31 does not produce millions of empty days.
+ */
+function dailyVolume(reviews, since, until, now = new Date()) {
+  const counts = new Map();
+  reviews.forEach(review => {
+    if (!review.date) return;
+    const day = bucketStart(review.date, 'day');
+    counts.set(day, (counts.get(day) || 0) + 1);
+  });
+
+  const days = Array.from(counts.keys()).sort();
+  if (days.length === 0) return [];
+
+  const today = bucketStart(now, 'day');
+  const first = since && bucketStart(since, 'day') > days[0] ? since : days[0];
+  let last = until || days[days.length - 1];
+  if (bucketStart(last, 'day') > today) last = today > days[days.length - 1] ? today : days[days.length - 1];
+
+  return bucketRange(first, last, 'day')
+    .map(day => ({ date: day, count: counts.get(day) || 0 }));
+}
+
+/**
+ * Compute review statistics
+ * @param {Array} reviews - Reviews in the unified model
+ * @param {Object} [window] - Requested window, used for the daily volume axis
+ * @param {Date} [window.since]
+ * @param {Date} [window.until]
+ * @returns {Object} Counts, rating mean/median/distribution, reply rate and latency,
+ *   daily volume and sentiment summary
+ */
+function computeStats(reviews, window = {}) {
+  const ratings = reviews.map(review => review.rating).filter(rating => rating >= 1 && rating <= 5);
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  ratings.forEach(rating => { distribution[rating]++; });
+
+  const replied = reviews.filter(review => review.reply);
+  const latencies = replied
+    .filter(review => review.date && review.replyDate)
+    .map(review => (new Date(review.replyDate) - new Date(review.date)) / HOUR)
+    .filter(hours => hours >= 0);
+
+  const daily = dailyVolume(reviews, window.since, window.until);
+  const dated = daily.reduce((sum, day) => sum + day.count, 0);
+  const meanRating = mean(ratings);
+  const medianLatency = median(latencies);
+
+  return {
+    review_count: reviews.length,
+    rated_count: ratings.length,
+    average_rating: meanRating === null ? null : round(meanRating),
+    median_rating: median(ratings),
+    rating_distribution: distribution,
+    reply_rate: reviews.length > 0 ? round(replied.length / reviews.length, 3) : null,
+    median_reply_latency_hours: medianLatency === null ? null : round(medianLatency, 1),
+    volume: {
+      first_date: daily.length > 0 ? daily[0].date : null,
+      last_date: daily.length > 0 ? daily[daily.length - 1].date : null,
+      per_day_average: daily.length > 0 ? round(dated / daily.length) : null,
+      daily: daily
+    },
+    sentiment: summarizeSentiment(reviews)
+  };
+}
+
+function averageRating(reviews) {
+  const value = mean(reviews.map(review => review.rating).filter(rating => rating >= 1 && rating <= 5));
+  return value === null ? null : round(value);
+}
+
+/**
+ * Review count and average rating per time bucket, for each platform or each app version
+ * @param {Array} reviews - Reviews in the unified model; undated reviews are skipped
+ * @param {Object} [options]
+ * @param {string} [options.interval='week'] - 'day', 'week' or 'month'
+ * @param {string} [options.groupBy='platform'] - 'platform', or 'version' for one series per platform and version
+ * @param {Date} [options.since] - Start of the bucket axis (defaults to the oldest review)
+ * @param {Date} [options.until] - End of the bucket axis (defaults to the newest review)
+ * @returns {{interval: string, group_by: string, periods: Array<string>, series: Array}} Bucket starts and
+ *   one series per group, each with a count and average rating for every bucket
+ */
+function computeTrends(reviews, options = {}) {
+  const interval = options.interval || 'week';
+  const groupBy = options.groupBy || 'platform';
+
+  const dated = reviews.filter(review => review.date);
+  const groups = new Map();
+
+  dated.forEach(review => {
+    const version = review.version || null;
+    const key = groupBy === 'version' ? `${review.platform}|${version}` : review.platform;
+
+    if (!groups.has(key)) {
+      groups.set(key, {
+        labels: groupBy === 'version' ? { platform: review.platform, version } : { platform: review.platform },
+        reviews: [],
+        buckets: new Map()
+      });
+    }
+
+    const group = groups.get(key);
+    const bucket = bucketStart(review.date, interval);
+    group.reviews.push(review);
+    if (!group.buckets.has(bucket)) group.buckets.set(bucket, []);
+    group.buckets.get(bucket).push(review);
+  });
+
+  const dates = dated.map(review => review.date).sort();
+  const periods = bucketRange(options.since || dates[0], options.until || dates[dates.length - 1], interval);
+
+  const series = Array.from(groups.values()).map(group => {
+    const groupDates = group.reviews.map(review => review.date).sort();
+
+    return Object.assign({}, group.labels, {
+      review_count: group.reviews.length,
+      average_rating: averageRating(group.reviews),
+      first_review: groupDates[0],
+      last_review: groupDates[groupDates.length - 1],
+      buckets: periods.map(period => {
+        const bucketReviews = group.buckets.get(period) || [];
+        return { period, count: bucketReviews.length, average_rating: averageRating(bucketReviews) };
+      })
+    });
+  });
+
+  // Platforms alphabetically, versions in the order they started receiving reviews
+  series.sort((a, b) => a.platform.localeCompare(b.platform) ||
+    (groupBy === 'version' ? a.first_review.localeCompare(b.first_review) : 0));
+
+  return { interval, group_by: groupBy, periods, series };
+}
+
+module.exports = {
+  computeStats,
+  computeTrends
+};
@@ -0,0 +1,184 @@
+// Typed failures of the store sources, so "the app has no reviews" and "we were blocked"
+// no longer look the same. Every type has a machine-readable `type` and the HTTP status
+// a route answers with:
+//   network            - the store could not be reached or answered 5xx   -> 502
+//   blocked            - the store refused or rate-limited us (403, 429)   -> 503
+//   parse_failure      - the store answered with something we cannot read  -> 502
+//   not_found          - the app has no such listing on the store          -> 404
+//   source_unavailable - the source is skipped by its circuit breaker      -> 503
+
+const HTTP_STATUS = {
+  network: 502,
+  blocked: 503,
+  parse_failure: 502,
+  not_found: 404,
+  source_unavailable: 503
+};
+
+class StoreError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {number} [options.upstreamStatus] - HTTP status the store answered with
+   * @param {number} [options.retryAfter] - Seconds after which trying again makes sense
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.options = options;
+    this.upstreamStatus = options.upstreamStatus || null;
+    this.retryAfter = options.retryAfter || null;
+    if (options.cause) this.cause = options.cause;
+  }
+
+  get httpStatus() {
+    return HTTP_STATUS[this.type];
+  }
+
+  /**
+   * The same error with a message prefix telling where it happened
+   */
+  withContext(context) {
+    return new this.constructor(`${context}: ${this.message}`, this.options);
+  }
+}
+
+class NetworkError extends StoreError {}
+NetworkError.prototype.type = 'network';
+
+class BlockedError extends StoreError {}
+BlockedError.prototype.type = 'blocked';
+
+class ParseError extends StoreError {}
+ParseError.prototype.type = 'parse_failure';
+
+class NotFoundError extends StoreError {}
+NotFoundError.prototype.type = 'not_found';
+
+class SourceUnavailableError extends StoreError {}
+SourceUnavailableError.prototype.type = 'source_unavailable';
+
+// When sources fail in different ways, the most telling type describes the whole request
+const TYPE_PRIORITY = [NotFoundError, BlockedError, NetworkError, ParseError, SourceUnavailableError];
+
+// HTTP status of an axios error or a google-play-scraper error, null for network errors
+function errorStatus(error) {
+  if (error.response && error.response.status) return error.response.status;
+  return typeof error.status === 'number' ? error.status : null;
+}
+
+// Seconds or HTTP date from a Retry-After header, in milliseconds
+function retryAfter(error) {
+  const headers = error.response && error.response.headers;
+  const value = headers && (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']);
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : Math.max(0, date.getTime() - Date.now());
+}
+
+/**
+ * Typed version of a failure: store errors keep their type, HTTP and network errors become
+ * the matching type, JSON and data-shape errors become parse failures. Anything else is a
+ * bug on our side and stays an untyped Error.
+ * @param {Error} error
+ * @param {string} [context] - Message prefix, e.g. 'App Store RSS page 2 failed'
+ * @returns {Error}
+ */
+function classifyError(error, context) {
+  if (error instanceof StoreError) {
+    return context ? error.withContext(context) : error;
+  }
+
+  const message = context ? `${context}: ${error.message}` : error.message;
+  const status = errorStatus(error);
+
+  if (status === 404) {
+    return new NotFoundError(message, { upstreamStatus: status, cause: error });
+  }
+  if (status === 403 || status === 429) {
+    const wait = retryAfter(error);
+    return new BlockedError(message, {
+      upstreamStatus: status,
+      retryAfter: wait !== null ? Math.ceil(wait / 1000) : null,
+      cause: error
+    });
+  }
+  if (status) {
+    return new NetworkError(message, { upstreamStatus: status, cause: error });
+  }
+  // google-play-scraper drops the code of a failed request but keeps this prefix
+  if (error.code || /^Error requesting Google Play/.test(error.message)) {
+    return new NetworkError(message, { cause: error });
+  }
+  if (error instanceof SyntaxError || error instanceof TypeError) {
+    return new ParseError(message, { cause: error });
+  }
+
+  return context ? new Error(message) : error;
+}
+
+/**
+ * One error for a request every source failed, typed after the most telling failure
+ * @param {string} message
+ * @param {Array<Error>} errors - Typed errors of the sources that were tried
+ */
+function combineErrors(message, errors) {
+  const Type = TYPE_PRIORITY.find(type => errors.some(error => error instanceof type));
+  if (!Type) return new Error(message);
+
+  const first = errors.find(error => error instanceof Type);
+  return new Type(message, { upstreamStatus: first.upstreamStatus, retryAfter: first.retryAfter });
+}
+
+/**
+ * HTTP status for a request whose every part failed: the most severe of the failures,
+ * 500 when one of them is not a store error
+ * @param {Array<{type: string}>} failures - Errors or warnings
+ */
+function failureStatus(failures) {
+  if (failures.length === 0) return 500;
+  return Math.max(...failures.map(failure => HTTP_STATUS[failure.type] || 500));
+}
+
+/**
+ * Machine-readable warning for a response that still has (partial) results
+ * @param {Error} error
+ * @param {Object} [details] - Where it happened, e.g. `{platform: 'android', storefront: 'TR:tr'}`
+ */
+function toWarning(error, details = {}) {
+  const warning = Object.assign({ type: error.type || 'internal' }, details, { message: error.message });
+  if (error.retryAfter) warning.retry_after = error.retryAfter;
+  return warning;
+}
+
+/**
+ * Typed error for a warning stored earlier (e.g. in a sync summary); the reverse of toWarning
+ * @param {Object} warning - `{type, message, retry_after}`
+ * @returns {Error}
+ */
+function fromWarning(warning) {
+  const Type = TYPE_PRIORITY.find(type => type.prototype.type === warning.type);
+  if (!Type) return new Error(warning.message);
+  return new Type(warning.message, { retryAfter: warning.retry_after });
+}
+
+module.exports = {
+  StoreError,
+  NetworkError,
+  BlockedError,
+  ParseError,
+  NotFoundError,
+  SourceUnavailableError,
+  errorStatus,
+  retryAfter,
+  classifyError,
+  combineErrors,
+  failureStatus,
+  fromWarning,
+  toWarning
+};
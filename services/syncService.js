@@ -0,0 +1,179 @@
+const AppRegistry = require('./appRegistry');
+const { toWarning } = require('./storeErrors');
+
+class SyncService {
+  /**
+   * @param {Object} deps
+   * @param {GooglePlayService} deps.googlePlayService
+   * @param {AppStoreService} deps.appStoreService
+   * @param {ReviewStore} deps.store
+   * @param {number} [deps.limit] - Reviews to request per platform on each sync
+   * @param {AlertService} [deps.alertService] - Evaluates alert rules after every sync
+   */
+  constructor({ googlePlayService, appStoreService, store, limit = 200, alertService = null }) {
+    this.googlePlayService = googlePlayService;
+    this.appStoreService = appStoreService;
+    this.store = store;
+    this.limit = limit;
+    this.alertService = alertService;
+    this.running = new Map(); // 'appKey|storefront keys' -> in-flight sync promise
+    this.alerting = Promise.resolve(); // alert evaluations of finished syncs, one at a time
+  }
+
+  /**
+   * Fetch the newest reviews for an app and append the ones not stored yet.
+   * Concurrent calls for the same app and storefronts share a single run; a scheduled job
+   * limited to some storefronts runs on its own.
+   * @param {Object} entry - App entry from the AppRegistry (or a copy limited to some storefronts)
+   * @returns {Promise<Object>} Sync summary
+   */
+  syncApp(entry) {
+    const key = `${entry.key}|${entry.storefronts.map(AppRegistry.storefrontKey).sort().join(',')}`;
+    if (this.running.has(key)) {
+      return this.running.get(key);
+    }
+
+    const run = this.runSync(entry).finally(() => {
+      this.running.delete(key);
+    });
+
+    this.running.set(key, run);
+    return run;
+  }
+
+  async runSync(entry) {
+    const startedAt = new Date();
+    const addedIds = []; // reviews this run stored, kept out of the recorded summary
+    console.log(`Syncing reviews for ${entry.key} (${entry.storefronts.length} storefronts)...`);
+
+    // All storefronts are fetched concurrently
+    const storefrontResults = await Promise.all(
+      entry.storefronts.map(storefront => this.syncStorefront(entry, storefront, addedIds))
+    );
+
+    const summary = {
+      app: entry.key,
+      started_at: startedAt.toISOString(),
+      finished_at: null,
+      platforms: {
+        android: this.combinePlatformResults(storefrontResults.map(result => result.android)),
+        ios: this.combinePlatformResults(storefrontResults.map(result => result.ios))
+      },
+      storefronts: {}
+    };
+
+    entry.storefronts.forEach((storefront, index) => {
+      summary.storefronts[AppRegistry.storefrontKey(storefront)] = storefrontResults[index];
+    });
+
+    summary.finished_at = new Date().toISOString();
+    summary.added = summary.platforms.android.added + summary.platforms.ios.added;
+
+    await this.store.recordSync(entry.key, summary);
+    console.log(`Synced ${entry.key}: ${summary.added} new reviews`);
+
+    if (this.alertService) {
+      // Evaluated in the background: a slow or broken webhook must not hold up or fail the sync
+      this.alerting = this.alerting
+        .then(() => this.alertService.evaluate(entry, summary, addedIds))
+        .catch(error => console.error(`Alert evaluation failed for ${entry.key}:`, error.message));
+    }
+
+    return summary;
+  }
+
+  /**
+   * Resolves once the alerts of every finished sync have been evaluated and delivered
+   */
+  alertsDelivered() {
+    return this.alerting;
+  }
+
+  /**
+   * Fetch both platforms for one storefront and store the new reviews
+   * @param {Array<string>} addedIds - Collects the IDs of the reviews stored
+   */
+  async syncStorefront(entry, storefront, addedIds) {
+    const [androidReviews, iosReviews] = await Promise.allSettled([
+      entry.android ?
+        this.googlePlayService.fetchReviewsFrom(
+          entry.android.packageId, storefront.language, this.limit, null, storefront.country
+        ) :
+        Promise.resolve(null),
+      entry.ios ?
+        this.appStoreService.fetchReviewsFrom(
+          entry.ios.appId, storefront.country, this.limit, null, storefront.language
+        ) :
+        Promise.resolve(null)
+    ]);
+
+    const storefrontKey = AppRegistry.storefrontKey(storefront);
+    return {
+      android: await this.storePlatformResult(entry.key, androidReviews, storefrontKey, addedIds),
+      ios: await this.storePlatformResult(entry.key, iosReviews, storefrontKey, addedIds)
+    };
+  }
+
+  /**
+   * Sum a platform's per-storefront results; the platform succeeds if any storefront did
+   */
+  combinePlatformResults(results) {
+    const combined = {
+      success: results.some(result => result.success),
+      fetched: 0,
+      added: 0,
+      rejected: [],
+      sources: [], // Sources the reviews came from (e.g. google_play.library)
+      warnings: [] // Typed failures of storefronts and sources, e.g. {type: 'blocked', storefront: 'TR:tr'}
+    };
+
+    results.forEach(result => {
+      combined.fetched += result.fetched;
+      combined.added += result.added;
+      combined.rejected.push(...result.rejected);
+      combined.warnings.push(...(result.warnings || []));
+      if (result.source && !combined.sources.includes(result.source)) {
+        combined.sources.push(result.source);
+      }
+      if (result.skipped) combined.skipped = true;
+      if (result.error) {
+        combined.errors = (combined.errors || []).concat(result.error);
+      }
+    });
+
+    return combined;
+  }
+
+  async storePlatformResult(appKey, settled, storefrontKey, addedIds) {
+    if (settled.status === 'rejected') {
+      return {
+        success: false,
+        fetched: 0,
+        added: 0,
+        rejected: [],
+        error: settled.reason.message,
+        error_type: settled.reason.type || 'internal',
+        warnings: [toWarning(settled.reason, { storefront: storefrontKey })]
+      };
+    }
+
+    // Platform not configured for this app
+    if (settled.value === null) {
+      return { success: true, fetched: 0, added: 0, rejected: [], skipped: true };
+    }
+
+    const { reviews, rejected, source } = settled.value;
+    const added = await this.store.addReviews(appKey, reviews);
+    addedIds.push(...added);
+    return {
+      success: true,
+      fetched: reviews.length,
+      added: added.length,
+      rejected: rejected,
+      source: source || null,
+      warnings: (settled.value.warnings || []).map(warning => Object.assign({ storefront: storefrontKey }, warning))
+    };
+  }
+}
+
+module.exports = SyncService;
@@ -0,0 +1,68 @@
+// UTC calendar buckets for time series: a review dated 2024-03-13 falls in the day bucket
+// '2024-03-13', the week bucket '2024-03-11' (weeks start on Monday) and the month bucket '2024-03-01'.
+
+const { InvalidFilterError } = require('./reviewFilters');
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Longest series a request may ask for; 5000 days is almost 14 years
+const MAX_BUCKETS = 5000;
+
+/**
+ * Start of the bucket a date falls in
+ * @param {Date|string} date
+ * @param {string} interval - 'day', 'week' or 'month'
+ * @returns {string} Bucket start as YYYY-MM-DD
+ */
+function bucketStart(date, interval) {
+  const value = new Date(date);
+  const day = new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+
+  if (interval === 'week') {
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    day.setUTCDate(1);
+  }
+
+  return day.toISOString().slice(0, 10);
+}
+
+function nextBucket(start, interval) {
+  const day = new Date(`${start}T00:00:00Z`);
+
+  if (interval === 'month') {
+    day.setUTCMonth(day.getUTCMonth() + 1);
+  } else {
+    day.setUTCDate(day.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Every bucket between two dates, inclusive
+ * Throws an InvalidFilterError when the range holds more than MAX_BUCKETS buckets.
+ * @returns {Array<string>} Bucket starts as YYYY-MM-DD
+ */
+function bucketRange(first, last, interval) {
+  if (!first || !last) return [];
+
+  const end = bucketStart(last, interval);
+  const buckets = [];
+  for (let bucket = bucketStart(first, interval); bucket <= end; bucket = nextBucket(bucket, interval)) {
+    if (buckets.length === MAX_BUCKETS) {
+      throw new InvalidFilterError(
+        `Time range too long: more than ${MAX_BUCKETS} ${interval} buckets; narrow since/until or use a longer interval`
+      );
+    }
+    buckets.push(bucket);
+  }
+  return buckets;
+}
+
+module.exports = {
+  INTERVALS,
+  MAX_BUCKETS,
+  bucketStart,
+  bucketRange
+};
@@ -0,0 +1,223 @@
+const topics = require('../models/topics.json');
+const { bucketStart, bucketRange } = require('./timeBuckets');
+
+// Groups reviews into recurring themes (delivery, payment, login, returns, crashes...)
+// defined in models/topics.json, and extracts the most frequent keywords per theme.
+// Tokens are lowercased with Turkish casing rules, stopwords are dropped and common
+// Turkish/English suffixes are stripped, so "kargom", "kargoda" and "kargolar" count as "kargo".
+
+// Keywords shorter than this must match a whole stem ("3d"), longer ones match as a prefix.
+// A theme's `exclude` prefixes keep unrelated words out of its prefix matches ("ödev" is
+// homework, not "öde"). Its `words` (the English keywords) match whole words or their stems
+// only, since as prefixes they begin Turkish words ("size" is "to you", "bug" begins "bugün").
+const MIN_PREFIX_KEYWORD = 3;
+
+const MIN_KEYWORD_LENGTH = 3;
+
+// Inflectional suffixes, longest first; stripped at most twice and only when a stem of 3+ letters remains.
+// Lone vowels are left alone, they end too many stems ("uygulama", "sürekli").
+const TURKISH_SUFFIXES = [
+  'larımız', 'lerimiz', 'sında', 'sinde', 'sunda', 'sünde', 'ında', 'inde', 'unda', 'ünde', 'ımız', 'imiz', 'umuz', 'ümüz', 'ları', 'leri', 'lar', 'ler',
+  'dan', 'den', 'tan', 'ten', 'nın', 'nin', 'nun', 'nün', 'yla', 'yle', 'sı', 'si', 'su', 'sü',
+  'da', 'de', 'ta', 'te', 'ım', 'im', 'um', 'üm', 'yı', 'yi', 'yu', 'yü'
+];
+const ENGLISH_SUFFIXES = [[/(sh|ch|x|ss)es$/, '$1'], [/ies$/, 'y'], [/ing$/, ''], [/([^su])s$/, '$1']];
+
+const stopwords = new Set([].concat(...Object.values(topics.stopwords)));
+
+function tokenize(text) {
+  return String(text || '')
+    .replace(/['’`]/g, '')
+    .toLocaleLowerCase('tr')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Strip inflectional suffixes from a lowercased token
+ */
+function stem(token) {
+  if (!/[çğıöşü]/.test(token)) {
+    const rule = ENGLISH_SUFFIXES.find(([pattern]) => pattern.test(token));
+    if (rule && token.replace(rule[0], rule[1]).length >= 3) {
+      return token.replace(rule[0], rule[1]);
+    }
+  }
+
+  let result = token;
+  for (let pass = 0; pass < 2; pass++) {
+    const suffix = TURKISH_SUFFIXES.find(candidate =>
+      result.endsWith(candidate) && result.length - candidate.length >= 3
+    );
+    if (!suffix) break;
+    result = result.slice(0, -suffix.length);
+  }
+
+  return result;
+}
+
+function matchesKeyword(keyword, tokens, stems, text, exclude = []) {
+  if (keyword.includes(' ')) {
+    return text.includes(` ${keyword}`);
+  }
+  if (keyword.length < MIN_PREFIX_KEYWORD) {
+    return tokens.includes(keyword) || stems.includes(keyword);
+  }
+  return tokens.some(token => token.startsWith(keyword) && !exclude.some(prefix => token.startsWith(prefix)));
+}
+
+function matchesWord(word, tokens, stems, text) {
+  if (word.includes(' ')) {
+    return `${text} `.includes(` ${word} `);
+  }
+  return tokens.includes(word) || stems.includes(word);
+}
+
+/**
+ * Analyze the text of a review once for classification and keyword counting
+ */
+function analyzeText(review) {
+  const tokens = tokenize(`${review.title || ''} ${review.content || ''}`);
+  const stems = tokens.map(stem);
+
+  return {
+    tokens,
+    stems,
+    text: ` ${tokens.join(' ')}`,
+    keywords: stems.filter((term, index) =>
+      term.length >= MIN_KEYWORD_LENGTH && !/^\d+$/.test(term) &&
+      !stopwords.has(term) && !stopwords.has(tokens[index])
+    )
+  };
+}
+
+/**
+ * Stemmed keywords of a review, stopwords and numbers removed
+ * @param {Object} review - Review in the unified model
+ * @returns {Array<string>} Keywords in text order, repeats included
+ */
+function extractKeywords(review) {
+  return analyzeText(review).keywords;
+}
+
+/**
+ * Themes a review talks about
+ * @param {Object} review - Review in the unified model
+ * @returns {Array<string>} Theme keys from models/topics.json, empty when none matched
+ */
+function classifyReview(review, analysis = analyzeText(review)) {
+  return Object.entries(topics.themes)
+    .filter(([, theme]) =>
+      theme.keywords.some(keyword =>
+        matchesKeyword(keyword, analysis.tokens, analysis.stems, analysis.text, theme.exclude)
+      ) ||
+      (theme.words || []).some(word => matchesWord(word, analysis.tokens, analysis.stems, analysis.text))
+    )
+    .map(([key]) => key);
+}
+
+function topKeywords(counts, limit) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0], 'tr'))
+    .slice(0, limit)
+    .map(([term, count]) => ({ term, count }));
+}
+
+function countKeywords(counts, keywords) {
+  // Count each term once per review so one long rant does not dominate
+  new Set(keywords).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+}
+
+/**
+ * Group reviews into themes with counts, weekly trend, keywords and example reviews
+ * @param {Array} reviews - Reviews in the unified model
+ * @param {Object} [options]
+ * @param {number} [options.examples=3] - Example reviews per theme
+ * @param {number} [options.keywords=10] - Keywords per theme
+ * @returns {Object} Themes sorted by review count, plus keywords of reviews no theme matched
+ */
+function extractTopics(reviews, options = {}) {
+  const exampleLimit = options.examples !== undefined ? options.examples : 3;
+  const keywordLimit = options.keywords !== undefined ? options.keywords : 10;
+
+  const groups = {};
+  Object.entries(topics.themes).forEach(([key, theme]) => {
+    groups[key] = { key, label: theme.label, reviews: [], keywords: new Map(), weeks: new Map() };
+  });
+  const unclassified = { count: 0, keywords: new Map() };
+  const allWeeks = new Set();
+
+  reviews.forEach(review => {
+    const analysis = analyzeText(review);
+    const themes = classifyReview(review, analysis);
+    const week = review.date ? bucketStart(review.date, 'week') : null;
+    if (week) allWeeks.add(week);
+
+    if (themes.length === 0) {
+      unclassified.count++;
+      countKeywords(unclassified.keywords, analysis.keywords);
+      return;
+    }
+
+    themes.forEach(key => {
+      const group = groups[key];
+      group.reviews.push(review);
+      countKeywords(group.keywords, analysis.keywords);
+      if (week) group.weeks.set(week, (group.weeks.get(week) || 0) + 1);
+    });
+  });
+
+  // Every theme gets the same week axis, with zeros for quiet weeks
+  const sortedWeeks = Array.from(allWeeks).sort();
+  const weeks = bucketRange(sortedWeeks[0], sortedWeeks[sortedWeeks.length - 1], 'week');
+
+  const themed = reviews.length - unclassified.count;
+
+  return {
+    total_reviews: reviews.length,
+    classified_reviews: themed,
+    topics: Object.values(groups)
+      .filter(group => group.reviews.length > 0)
+      .sort((a, b) => b.reviews.length - a.reviews.length)
+      .map(group => {
+        const rated = group.reviews.filter(review => review.rating > 0);
+        const negative = group.reviews.filter(review => review.sentiment && review.sentiment.label === 'negative');
+
+        return {
+          key: group.key,
+          label: group.label,
+          count: group.reviews.length,
+          share: Math.round((group.reviews.length / reviews.length) * 1000) / 1000,
+          average_rating: rated.length > 0 ?
+            Math.round((rated.reduce((sum, review) => sum + review.rating, 0) / rated.length) * 100) / 100 :
+            null,
+          negative_share: Math.round((negative.length / group.reviews.length) * 1000) / 1000,
+          keywords: topKeywords(group.keywords, keywordLimit),
+          trend: weeks.map(week => ({ week, count: group.weeks.get(week) || 0 })),
+          // Most helpful first, then newest
+          examples: group.reviews
+            .slice()
+            .sort((a, b) => (b.helpful - a.helpful) || (new Date(b.date) - new Date(a.date)) || 0)
+            .slice(0, exampleLimit)
+            .map(review => ({
+              id: review.id,
+              platform: review.platform,
+              rating: review.rating,
+              date: review.date,
+              content: review.content
+            }))
+        };
+      }),
+    unclassified: {
+      count: unclassified.count,
+      keywords: topKeywords(unclassified.keywords, keywordLimit)
+    }
+  };
+}
+
+module.exports = {
+  stem,
+  extractKeywords,
+  classifyReview,
+  extractTopics
+};
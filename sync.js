@@ -0,0 +1,61 @@
+// Sync script - appends new reviews to the local store (run from cron or by hand)
+require('dotenv').config();
+
+const GooglePlayService = require('./services/googlePlayService');
+const AppStoreService = require('./services/appStoreService');
+const AppRegistry = require('./services/appRegistry');
+const HttpClient = require('./services/httpClient');
+const { SourceHealth } = require('./services/sourceHealth');
+const { ScraperDrift, loadSelectors } = require('./services/scraperDrift');
+const ReviewStore = require('./services/reviewStore');
+const SyncService = require('./services/syncService');
+const AlertService = require('./services/alertService');
+const appConfig = require('./config');
+
+async function syncAll(appKeys) {
+  const appRegistry = new AppRegistry(appConfig);
+  const store = new ReviewStore(appConfig.settings.dataDir);
+  const httpClient = new HttpClient(appConfig.settings.http);
+  const sourceHealth = new SourceHealth(appConfig.settings.sources);
+  const syncService = new SyncService({
+    googlePlayService: new GooglePlayService({
+      httpClient,
+      sourceHealth,
+      baseUrl: appConfig.settings.stores.googlePlay,
+      selectors: loadSelectors(appConfig.settings.scraper.selectorsFile),
+      drift: new ScraperDrift({ dataDir: appConfig.settings.dataDir, maxSamples: appConfig.settings.scraper.maxSamples })
+    }),
+    appStoreService: new AppStoreService({ httpClient, sourceHealth, baseUrl: appConfig.settings.stores.appStore }),
+    store: store,
+    limit: appConfig.settings.syncLimit,
+    alertService: new AlertService({ store, config: appConfig.alerts, dataDir: appConfig.settings.dataDir })
+  });
+
+  const keys = appKeys.length > 0 ? appKeys : appRegistry.keys();
+  const summaries = [];
+
+  for (const key of keys) {
+    const entry = appRegistry.get(key);
+    if (!entry) {
+      console.log(`❌ Unknown app: ${key}`);
+      continue;
+    }
+
+    const summary = await syncService.syncApp(entry);
+    console.log(`✅ ${key}: ${summary.added} new reviews (Android +${summary.platforms.android.added}, iOS +${summary.platforms.ios.added})`);
+    summaries.push(summary);
+  }
+
+  await syncService.alertsDelivered();
+  return summaries;
+}
+
+// Run sync if this file is executed directly: node sync.js [appKey ...]
+if (require.main === module) {
+  syncAll(process.argv.slice(2)).catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = syncAll;
@@ -0,0 +1,131 @@
+const { test, describe, beforeEach, after, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ReviewStore = require('../services/reviewStore');
+const AlertService = require('../services/alertService');
+const SyncService = require('../services/syncService');
+
+const entry = {
+  key: 'koton',
+  name: 'Koton',
+  android: { packageId: 'com.koton.app' },
+  ios: null,
+  storefronts: [{ country: 'TR', language: 'tr' }]
+};
+
+const review = (id, country = 'TR') => ({
+  id: id,
+  platform: 'Google Play',
+  author: `Author ${id}`,
+  rating: 1,
+  date: '2026-10-18T10:00:00.000Z',
+  content: `Ödeme sayfası açılmıyor (${id})`,
+  country: country
+});
+
+let dataDir;
+let posts;
+let reviews;
+let syncService;
+const dataDirs = [];
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mobile-reviews-alerts-'));
+  dataDirs.push(dataDir);
+  posts = [];
+  reviews = [];
+
+  const store = new ReviewStore(dataDir);
+  syncService = new SyncService({
+    googlePlayService: {
+      fetchReviewsFrom: async (packageId, language, limit, position, country) => ({
+        reviews: reviews.filter(item => item.country === country),
+        rejected: [],
+        source: 'google_play.library'
+      })
+    },
+    appStoreService: {},
+    store: store,
+    alertService: new AlertService({
+      store: store,
+      dataDir: dataDir,
+      config: {
+        webhooks: { default: { url: 'http://hooks.test/alerts' } },
+        rules: [{ id: 'payment-one-star', type: 'review', filters: { rating: '1', q: 'ödeme' } }],
+        retries: 0
+      },
+      post: async (url, body) => {
+        posts.push(body);
+        return { status: 200 };
+      }
+    })
+  });
+});
+
+after(() => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+describe('review alerts', () => {
+  test('the first sync of a storefront does not alert on its backfill', async () => {
+    reviews = [review('a'), review('b')];
+    await syncService.syncApp(entry);
+    await syncService.alertsDelivered();
+
+    assert.equal(posts.length, 0);
+  });
+
+  test('later syncs alert on their new reviews', async () => {
+    reviews = [review('a')];
+    await syncService.syncApp(entry);
+
+    reviews = [review('a'), review('b')];
+    await syncService.syncApp(entry);
+    await syncService.alertsDelivered();
+
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].total, 1);
+    assert.deepEqual(posts[0].reviews.map(item => item.id), ['b']);
+  });
+
+  test('syncs of other storefronts running at the same time alert on their own reviews only', async () => {
+    const TR = { country: 'TR', language: 'tr' };
+    const DE = { country: 'DE', language: 'de' };
+    const both = Object.assign({}, entry, { storefronts: [TR, DE] });
+    reviews = [review('a', 'TR'), review('b', 'DE')];
+    await syncService.syncApp(both);
+
+    reviews = reviews.concat(review('c', 'TR'), review('d', 'DE'));
+    await Promise.all([
+      syncService.syncApp(Object.assign({}, entry, { storefronts: [TR] })),
+      syncService.syncApp(Object.assign({}, entry, { storefronts: [DE] }))
+    ]);
+    await syncService.alertsDelivered();
+
+    assert.deepEqual(posts.map(post => post.reviews.map(item => item.id)).sort(), [['c'], ['d']]);
+  });
+
+  test('a sync does not wait for the webhooks', async () => {
+    reviews = [review('a')];
+    await syncService.syncApp(entry);
+
+    let answer;
+    syncService.alertService.post = () => new Promise(resolve => { answer = resolve; });
+    reviews = [review('a'), review('b')];
+    const summary = await syncService.syncApp(entry);
+
+    assert.equal(summary.added, 1);
+    assert.equal(answer, undefined);
+
+    for (let i = 0; !answer && i < 200; i++) await new Promise(resolve => setTimeout(resolve, 10));
+    assert.ok(answer, 'the webhook was called');
+    answer({ status: 200 });
+    await syncService.alertsDelivered();
+  });
+});
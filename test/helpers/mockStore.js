@@ -0,0 +1,90 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Local stand-in for play.google.com and itunes.apple.com that serves the recorded
+// fixtures, so the suite runs offline. Point settings.stores (or a service's baseUrl) at `url`.
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function readJson(name) {
+  return JSON.parse(fixture(name));
+}
+
+// The RSS feed past its last page: a feed without entries
+const EMPTY_FEED = JSON.stringify({ feed: { author: { name: { label: 'iTunes Store' } } } });
+
+// getreviews past its last page
+const EMPTY_GETREVIEWS = ')]}\'\n[["ecr.grr",true,""]]';
+
+function route(req, url) {
+  if (req.method === 'POST' && url.pathname === '/store/getreviews') {
+    return url.searchParams.get('pageNum') === '0' ?
+      { type: 'application/json; charset=utf-8', body: fixture('play-getreviews.txt') } :
+      { type: 'application/json; charset=utf-8', body: EMPTY_GETREVIEWS };
+  }
+  if (url.pathname === '/store/apps/details') {
+    return { type: 'text/html; charset=utf-8', body: fixture('play-details.html') };
+  }
+
+  const rss = url.pathname.match(/^\/[a-z]{2}\/rss\/customerreviews\/page=(\d+)\/id=\d+\/sortby=mostrecent\/json$/);
+  if (rss) {
+    return { type: 'application/json', body: rss[1] === '1' ? fixture('itunes-rss.json') : EMPTY_FEED };
+  }
+  if (url.pathname === '/lookup') {
+    return { type: 'text/javascript; charset=utf-8', body: fixture('itunes-lookup.json') };
+  }
+
+  return { status: 404, type: 'text/html', body: '<html><body>Not Found</body></html>' };
+}
+
+/**
+ * Start the mock store on a free port
+ * @returns {Promise<Object>} `{url, requests, serve, reset, close}`; `serve(pathPrefix, response)`
+ *   replaces the answer for matching paths (`{status, headers, body}`) until `reset()`
+ */
+async function startMockStore() {
+  const overrides = [];
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(`${req.method} ${url.pathname}${url.search}`);
+
+    const override = overrides.find(item => url.pathname.startsWith(item.path));
+    const response = override ? override.response : route(req, url);
+
+    res.writeHead(response.status || 200, Object.assign(
+      { 'Content-Type': response.type || 'text/plain; charset=utf-8' },
+      response.headers
+    ));
+    res.end(response.body || '');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    serve(pathPrefix, response) {
+      overrides.unshift({ path: pathPrefix, response });
+    },
+    reset() {
+      overrides.length = 0;
+      requests.length = 0;
+    },
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = {
+  fixture,
+  readJson,
+  startMockStore
+};
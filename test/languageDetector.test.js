@@ -0,0 +1,39 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { detectLanguage, resolveReviewLanguage } = require('../services/languageDetector');
+const { normalizeReview } = require('../services/reviewSchema');
+
+describe('resolveReviewLanguage', () => {
+  test('one-word reviews keep the storefront language', () => {
+    ['Berbat', 'Rezalet', 'Mükemmel'].forEach(text => {
+      assert.equal(resolveReviewLanguage(text, 'tr').language, 'tr', text);
+    });
+  });
+
+  test('one-word reviews still get a sentiment', () => {
+    const review = normalizeReview({ id: 'a', platform: 'Google Play', rating: 1, content: 'Berbat', language: 'tr' });
+
+    assert.equal(review.language, 'tr');
+    assert.equal(review.sentiment.label, 'negative');
+  });
+
+  test('longer reviews in another language override the storefront language', () => {
+    assert.equal(resolveReviewLanguage('Die App stürzt ständig ab', 'tr').language, 'de');
+    assert.equal(resolveReviewLanguage('Uygulama sürekli çöküyor', 'de').language, 'tr');
+  });
+
+  test('a short review overrides a storefront language its letters rule out', () => {
+    assert.equal(resolveReviewLanguage('Schön', 'en').language, 'de');
+    assert.equal(resolveReviewLanguage('Привет', 'tr').language, 'ru');
+  });
+});
+
+describe('detectLanguage', () => {
+  test('letters a language never uses rule it out', () => {
+    const scores = detectLanguage('Mükemmel').scores;
+
+    assert.equal(scores.en, 0);
+    assert.equal(scores.nl, 0);
+  });
+});
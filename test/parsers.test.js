@@ -0,0 +1,282 @@
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const gplay = require('google-play-scraper');
+
+const GooglePlayService = require('../services/googlePlayService');
+const AppStoreService = require('../services/appStoreService');
+const HttpClient = require('../services/httpClient');
+const { SourceHealth } = require('../services/sourceHealth');
+const { BlockedError, ParseError, NotFoundError, NetworkError } = require('../services/storeErrors');
+const { fixture, readJson, startMockStore } = require('./helpers/mockStore');
+
+let store;
+let googlePlay;
+let appStore;
+
+// Fresh services per test, so one test's open circuit does not skip the next test's source
+function createServices() {
+  const httpClient = new HttpClient({ retries: 0, hosts: { default: { concurrency: 4, minInterval: 0 } } });
+  const sourceHealth = new SourceHealth();
+  googlePlay = new GooglePlayService({ httpClient, sourceHealth, baseUrl: store.url });
+  appStore = new AppStoreService({ httpClient, sourceHealth, baseUrl: store.url });
+}
+
+// google-play-scraper answers with (up to `num` of) the recorded first page, then with an empty last page
+function stubLibraryReviews() {
+  return mock.method(gplay, 'reviews', async options => {
+    if (options.nextPaginationToken) return { data: [], nextPaginationToken: null };
+
+    const page = readJson('gplay-reviews.json');
+    return Object.assign(page, { data: page.data.slice(0, options.num) });
+  });
+}
+
+before(async () => {
+  store = await startMockStore();
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+after(() => store.close());
+
+beforeEach(() => {
+  store.reset();
+  createServices();
+});
+
+describe('GooglePlayService.parsePlayStoreReviews', () => {
+  // The review HTML is the third field of the first entry of the )]}'-prefixed payload
+  const html = JSON.parse(fixture('play-getreviews.txt').substring(5))[0][2];
+
+  test('reads author, star count, date and text of every review', () => {
+    const reviews = googlePlay.parsePlayStoreReviews(html, Infinity);
+
+    assert.equal(reviews.length, 2);
+    assert.deepEqual(
+      reviews.map(review => [review.author, review.rating, review.date]),
+      [['Burak Şahin', 3, '9 Ekim 2026'], ['Selin Arslan', 5, '5 Ekim 2026']]
+    );
+    assert.match(reviews[0].content, /"kargoda kaybolmuş"/);
+    assert.match(reviews[0].id, /^gp_/);
+  });
+
+  test('skips reviews without an author', () => {
+    const reviews = googlePlay.parsePlayStoreReviews(html, Infinity);
+    assert.ok(reviews.every(review => review.author));
+  });
+
+  test('stops at the limit', () => {
+    assert.equal(googlePlay.parsePlayStoreReviews(html, 1).length, 1);
+  });
+
+  test('gives the same review the same ID on every parse', () => {
+    const first = googlePlay.parsePlayStoreReviews(html, Infinity);
+    const second = googlePlay.parsePlayStoreReviews(html, Infinity);
+    assert.deepEqual(first.map(review => review.id), second.map(review => review.id));
+  });
+});
+
+describe('GooglePlayService.extractReviewsFromJavaScript', () => {
+  test('reads reviews nested in AF_initDataCallback data', () => {
+    const reviews = googlePlay.extractReviewsFromJavaScript(fixture('play-details-af.html'), 10);
+
+    assert.equal(reviews.length, 2);
+    assert.deepEqual(
+      reviews.map(review => [review.author, review.rating, review.date]),
+      [['ahmet_k', 4, 1791590400], ['merve.d', 2, 1791417600]]
+    );
+  });
+
+  test('keeps brackets inside review text', () => {
+    const [review] = googlePlay.extractReviewsFromJavaScript(fixture('play-details-af.html'), 10);
+    assert.match(review.content, /^Fiyatlar \[indirimli ürünlerde\] gerçekten/);
+  });
+
+  test('finds nothing in blocks without reviews', () => {
+    assert.deepEqual(googlePlay.extractReviewsFromJavaScript(fixture('play-details.html'), 10), []);
+  });
+
+  test('stops at the limit', () => {
+    assert.equal(googlePlay.extractReviewsFromJavaScript(fixture('play-details-af.html'), 1).length, 1);
+  });
+});
+
+describe('GooglePlayService sources', () => {
+  test('library reviews are normalized and keep the pagination token', async () => {
+    stubLibraryReviews();
+    const page = await googlePlay.fetchReviewsFrom('com.koton.app', 'tr', 3, null, 'TR');
+
+    assert.equal(page.source, 'google_play.library');
+    assert.equal(page.reviews.length, 3);
+    assert.deepEqual(page.next, { token: 'CsMBCr4BAbjfMcEHtz9Y1nQ8x0gYpQ2mTn5oW' });
+    assert.deepEqual(page.warnings, []);
+
+    const [review] = page.reviews;
+    assert.equal(review.country, 'TR');
+    assert.equal(review.version, '5.12.0');
+    assert.equal(review.reply.startsWith('Merhaba Zeynep Hanım'), true);
+    assert.equal(review.date, '2026-10-12T09:14:03.000Z');
+  });
+
+  test('drops library reviews too short to be useful', async () => {
+    stubLibraryReviews();
+    const page = await googlePlay.fetchReviewsFrom('com.koton.app', 'tr', 100, null, 'TR');
+
+    assert.equal(page.reviews.length, 4);
+    assert.ok(page.reviews.every(review => review.content !== 'Süper'));
+  });
+
+  test('falls back to the internal API and warns about the failed library', async () => {
+    mock.method(gplay, 'reviews', async () => {
+      throw Object.assign(new Error('Error requesting Google Play:Response code 503'), { status: 503 });
+    });
+    const page = await googlePlay.fetchReviewsFrom('com.koton.app', 'tr', 10, null, 'TR');
+
+    assert.equal(page.source, 'google_play.internal_api');
+    assert.equal(page.reviews.length, 2);
+    assert.equal(page.next, null);
+    assert.deepEqual(page.warnings.map(warning => [warning.source, warning.type]), [['google_play.library', 'network']]);
+    assert.ok(store.requests.some(request => request.startsWith('POST /store/getreviews?') && request.includes('pageNum=0')));
+  });
+
+  test('scrapes reviews from the page markup', async () => {
+    const reviews = await googlePlay.scrapeReviewsFromWeb('com.koton.app', 'tr', 10, 'TR');
+
+    assert.deepEqual(
+      reviews.map(review => [review.author, review.rating, review.date, review.helpful]),
+      [
+        ['Deniz Koç', 4, '11 Ekim 2026', '12 kişi bu yorumu faydalı buldu'],
+        ['Gamze Yurt', 1, '7 Ekim 2026', '3 kişi bu yorumu faydalı buldu']
+      ]
+    );
+  });
+
+  test('a page without reviews is a parse failure, not an empty result', async () => {
+    store.serve('/store/apps/details', { type: 'text/html', body: '<html><title>Before you continue</title></html>' });
+
+    await assert.rejects(googlePlay.scrapeReviewsFromWeb('com.koton.app', 'tr', 10, 'TR'), ParseError);
+  });
+
+  test('every source failing rejects with the most telling type', async () => {
+    mock.method(gplay, 'reviews', async () => {
+      throw Object.assign(new Error('Error requesting Google Play:Response code 429'), { status: 429 });
+    });
+    store.serve('/store/', { status: 503, body: 'Service Unavailable' });
+
+    await assert.rejects(googlePlay.fetchReviewsFrom('com.koton.app', 'tr', 10, null, 'TR'), error => {
+      assert.ok(error instanceof BlockedError);
+      assert.match(error.message, /Every Google Play source failed/);
+      return true;
+    });
+  });
+
+  test('an unknown app is not found without trying the other sources', async () => {
+    mock.method(gplay, 'reviews', async () => {
+      throw Object.assign(new Error('App not found (404)'), { status: 404 });
+    });
+
+    await assert.rejects(googlePlay.fetchReviewsFrom('com.unknown', 'tr', 10, null, 'TR'), NotFoundError);
+    assert.deepEqual(store.requests, []);
+  });
+
+  test('app info comes from the library', async () => {
+    mock.method(gplay, 'app', async () => readJson('gplay-app.json'));
+    const info = await googlePlay.getAppInfo('com.koton.app', 'tr', 'TR');
+
+    assert.equal(info.name, 'Koton: Giyim & Moda Alışveriş');
+    assert.equal(info.rating, '4.3');
+    assert.equal(info.installs, '10.000.000+');
+    assert.equal(info.source, 'google_play.app_info.library');
+  });
+
+  test('app info falls back to the store page', async () => {
+    mock.method(gplay, 'app', async () => {
+      throw new Error('Error requesting Google Play:getaddrinfo ENOTFOUND play.google.com');
+    });
+    const info = await googlePlay.getAppInfo('com.koton.app', 'tr', 'TR');
+
+    assert.equal(info.name, 'Koton: Giyim & Moda Alışveriş');
+    assert.equal(info.developer, 'Koton Mağazacılık');
+    assert.equal(info.source, 'google_play.app_info.web');
+  });
+});
+
+describe('AppStoreService.fetchReviewsPage', () => {
+  test('reads every review entry after the app entry', async () => {
+    const reviews = await appStore.fetchReviewsPage('1436987707', 'tr', 1);
+
+    assert.equal(reviews.length, 3);
+    assert.deepEqual(
+      reviews.map(review => [review.author, review.rating, review.version, review.title]),
+      [['ahmetyy', 1, '5.12.0', 'Ödeme hatası'], ['kübra_s', 5, '5.12.0', 'Harika'], ['tolgaa', 3, '5.11.2', 'Fena değil']]
+    );
+    assert.equal(reviews[0].country, 'TR');
+    assert.equal(reviews[0].date, '2026-10-14T03:12:45-07:00');
+    assert.ok(store.requests.includes('GET /tr/rss/customerreviews/page=1/id=1436987707/sortby=mostrecent/json'));
+  });
+
+  test('a page past the end is empty', async () => {
+    assert.deepEqual(await appStore.fetchReviewsPage('1436987707', 'tr', 2), []);
+  });
+
+  test('a missing page is empty', async () => {
+    store.serve('/tr/rss/', { status: 404 });
+    assert.deepEqual(await appStore.fetchReviewsPage('1436987707', 'tr', 3), []);
+  });
+
+  test('rate limiting is a blocked error with the wait the store asked for', async () => {
+    store.serve('/tr/rss/', { status: 429, headers: { 'Retry-After': '120' } });
+
+    await assert.rejects(appStore.fetchReviewsPage('1436987707', 'tr', 1), error => {
+      assert.ok(error instanceof BlockedError);
+      assert.equal(error.retryAfter, 120);
+      assert.equal(error.httpStatus, 503);
+      return true;
+    });
+  });
+
+  test('an HTML answer is a parse failure', async () => {
+    store.serve('/tr/rss/', { type: 'text/html', body: '<html><body>Maintenance</body></html>' });
+    await assert.rejects(appStore.fetchReviewsPage('1436987707', 'tr', 1), ParseError);
+  });
+
+  test('a server error is a network error', async () => {
+    store.serve('/tr/rss/', { status: 502 });
+    await assert.rejects(appStore.fetchReviewsPage('1436987707', 'tr', 1), NetworkError);
+  });
+});
+
+describe('AppStoreService', () => {
+  test('fetchReviewsFrom normalizes reviews and stops after the last page', async () => {
+    const page = await appStore.fetchReviewsFrom('1436987707', 'tr', 10, null, 'tr');
+
+    assert.equal(page.reviews.length, 3);
+    assert.equal(page.next, null);
+    assert.equal(page.source, 'app_store.rss');
+    assert.equal(page.reviews[0].date, '2026-10-14T10:12:45.000Z');
+  });
+
+  test('fetchReviewsFrom keeps the loaded reviews when a later page fails', async () => {
+    store.serve('/tr/rss/customerreviews/page=2/', { status: 503 });
+    const page = await appStore.fetchReviewsFrom('1436987707', 'tr', 10, null, 'tr');
+
+    assert.equal(page.reviews.length, 3);
+    assert.deepEqual(page.next, { page: 2, skip: 0 });
+    assert.deepEqual(page.warnings.map(warning => warning.type), ['network']);
+  });
+
+  test('getAppInfo reads the lookup result', async () => {
+    const info = await appStore.getAppInfo('1436987707', 'tr');
+
+    assert.equal(info.name, 'Koton: Giyim & Moda Alışveriş');
+    assert.equal(info.reviews_count, 98765);
+    assert.equal(info.version, '5.12.0');
+    assert.equal(info.source, 'app_store.lookup');
+  });
+
+  test('getAppInfo rejects an app missing from the storefront', async () => {
+    store.serve('/lookup', { type: 'text/javascript', body: '{"resultCount":0,"results":[]}' });
+    await assert.rejects(appStore.getAppInfo('1436987707', 'az'), NotFoundError);
+  });
+});
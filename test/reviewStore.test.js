@@ -0,0 +1,103 @@
+const { test, describe, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ReviewStore = require('../services/reviewStore');
+
+let dataDir;
+const dataDirs = [];
+
+const review = (id, date) => ({
+  id: id,
+  platform: 'Google Play',
+  author: `Author ${id}`,
+  rating: 4,
+  date: date,
+  content: `Review ${id}`
+});
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mobile-reviews-store-'));
+  dataDirs.push(dataDir);
+});
+
+after(() => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// The server and `npm run sync` each hold their own ReviewStore on the same data directory
+describe('two stores on one data directory', () => {
+  test('each sees what the other added and neither overwrites it', async () => {
+    const server = new ReviewStore(dataDir);
+    const cron = new ReviewStore(dataDir);
+
+    // Both have the file loaded before either writes
+    await server.countReviews('koton');
+    await cron.countReviews('koton');
+
+    assert.deepEqual(await cron.addReviews('koton', [review('a', '2026-10-01T10:00:00.000Z')]), ['a']);
+    assert.deepEqual(await server.addReviews('koton', [review('b', '2026-10-02T10:00:00.000Z')]), ['b']);
+    await cron.recordSync('koton', { started_at: 'cron' });
+    await server.recordSync('koton', { started_at: 'server' });
+
+    for (const store of [server, cron, new ReviewStore(dataDir)]) {
+      assert.deepEqual((await store.getReviews('koton')).map(item => item.id), ['b', 'a']);
+      assert.equal((await store.getLastSync('koton')).started_at, 'server');
+    }
+  });
+
+  test('concurrent writes from both are all kept', async () => {
+    const server = new ReviewStore(dataDir);
+    const cron = new ReviewStore(dataDir);
+
+    await Promise.all(['1', '2', '3', '4'].map((id, i) =>
+      (i % 2 ? server : cron).addReviews('koton', [review(id, `2026-10-0${id}T10:00:00.000Z`)])
+    ));
+
+    assert.equal((await new ReviewStore(dataDir).countReviews('koton')).total, 4);
+    assert.deepEqual(fs.readdirSync(dataDir), ['koton.reviews.json']);
+  });
+
+  test('a review the other store already added is not added twice', async () => {
+    const server = new ReviewStore(dataDir);
+    const cron = new ReviewStore(dataDir);
+    await server.countReviews('koton');
+
+    await cron.addReviews('koton', [review('a', '2026-10-01T10:00:00.000Z')]);
+    assert.deepEqual(await server.addReviews('koton', [review('a', '2026-10-01T10:00:00.000Z')]), []);
+  });
+
+  test('a lock left behind by a crashed process is taken over', async () => {
+    const lockPath = path.join(dataDir, 'koton.reviews.json.lock');
+    fs.writeFileSync(lockPath, '99999');
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, old, old);
+
+    assert.deepEqual(await new ReviewStore(dataDir).addReviews('koton', [review('a', '2026-10-01T10:00:00.000Z')]), ['a']);
+    assert.equal(fs.existsSync(lockPath), false);
+  });
+});
+
+describe('paging', () => {
+  test('reviews added between pages neither repeat nor skip a review', async () => {
+    const store = new ReviewStore(dataDir);
+    // Three reviews share a date, so only the ID orders them
+    await store.addReviews('koton', [
+      review('a', '2026-10-03T10:00:00.000Z'),
+      review('b', '2026-10-02T10:00:00.000Z'),
+      review('c', '2026-10-02T10:00:00.000Z'),
+      review('d', '2026-10-02T10:00:00.000Z'),
+      review('e', '2026-10-01T10:00:00.000Z')
+    ]);
+
+    const first = await store.getReviews('koton', { limit: 2 });
+    assert.deepEqual(first.map(item => item.id), ['a', 'd']);
+
+    // A newer review and one that sorts into the page already read
+    await store.addReviews('koton', [review('f', '2026-10-04T10:00:00.000Z'), review('z', '2026-10-02T10:00:00.000Z')]);
+
+    const last = first[first.length - 1];
+    const rest = await store.getReviews('koton', { after: { date: last.date, id: last.id } });
+    assert.deepEqual(rest.map(item => item.id), ['c', 'b', 'e']);
+  });
+});
@@ -0,0 +1,475 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const gplay = require('google-play-scraper');
+
+const appConfig = require('../config');
+const { readJson, startMockStore } = require('./helpers/mockStore');
+
+let store;
+let dataDir;
+let app;
+
+// The app reads its config once when it is required, so the test setup comes first:
+// stores on the mock server, a throwaway data directory, no scheduler, cache or retries
+before(async () => {
+  store = await startMockStore();
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mobile-reviews-test-'));
+
+  const settings = appConfig.settings;
+  settings.dataDir = dataDir;
+  settings.scheduler.enabled = false;
+  settings.cache.enabled = false;
+  settings.cache.dir = null;
+  settings.stores = { googlePlay: store.url, appStore: store.url };
+  settings.http = Object.assign({}, settings.http, {
+    retries: 0,
+    proxy: null,
+    hosts: { default: { concurrency: 4, minInterval: 0 } }
+  });
+  settings.adminToken = 'test-token';
+  appConfig.alerts.webhooks = {
+    default: { url: `${store.url}/hooks/alerts`, format: 'generic' }
+  };
+  appConfig.alerts.retries = 0;
+
+  // google-play-scraper does not take a base URL; its calls answer with the recorded fixtures
+  mock.method(gplay, 'reviews', recordedReviews);
+  mock.method(gplay, 'app', async () => readJson('gplay-app.json'));
+
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+  mock.method(console, 'error', () => {});
+
+  store.serve('/hooks/', { status: 200, body: 'ok' });
+  app = require('../index');
+});
+
+after(async () => {
+  await store.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// google-play-scraper reviews answered with the recorded page
+async function recordedReviews(options) {
+  if (options.nextPaginationToken) return { data: [], nextPaginationToken: null };
+
+  const page = readJson('gplay-reviews.json');
+  return Object.assign(page, { data: page.data.slice(0, options.num) });
+}
+
+// Body of an NDJSON response, one object per line
+function ndjson(text) {
+  return text.trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('service routes', () => {
+  test('GET / lists the endpoints and apps', async () => {
+    const res = await request(app).get('/').expect(200);
+
+    assert.equal(res.body.default_app, 'koton');
+    assert.ok(res.body.endpoints['/apps/:appKey/reviews']);
+    assert.deepEqual(res.body.apps.map(entry => entry.key), ['koton']);
+  });
+
+  test('GET /apps lists the registered apps', async () => {
+    const res = await request(app).get('/apps').expect(200);
+
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.apps[0].android_package, 'com.koton.app');
+  });
+
+  test('GET /health reports the cache', async () => {
+    const res = await request(app).get('/health').expect(200);
+
+    assert.equal(res.body.status, 'OK');
+    assert.equal(res.body.cache.enabled, false);
+  });
+
+  test('unknown apps and endpoints are 404s', async () => {
+    const unknownApp = await request(app).get('/apps/nope/reviews').expect(404);
+    assert.deepEqual(unknownApp.body.available_apps, ['koton']);
+
+    const unknownEndpoint = await request(app).get('/apps/koton/nothing-here').expect(404);
+    assert.equal(unknownEndpoint.body.error, 'Endpoint not found');
+    assert.ok(unknownEndpoint.body.available_endpoints.includes('GET /health/sources'));
+  });
+});
+
+describe('sync', () => {
+  test('GET /sync before the first sync has nothing stored', async () => {
+    const res = await request(app).get('/sync').expect(200);
+
+    assert.equal(res.body.last_sync, null);
+    assert.deepEqual(res.body.stored_reviews, { total: 0 });
+  });
+
+  test('POST /sync needs the admin token', async () => {
+    await request(app).post('/apps/koton/sync').expect(403);
+    await request(app).post('/sync').set('X-Admin-Token', 'wrong').expect(403);
+  });
+
+  test('POST /sync stores the reviews of both platforms', async () => {
+    const res = await request(app).post('/apps/koton/sync').set('X-Admin-Token', 'test-token').expect(200);
+
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.sync.platforms.android.fetched, 4);
+    assert.equal(res.body.sync.platforms.ios.fetched, 3);
+    assert.deepEqual(res.body.warnings, []);
+    assert.deepEqual(res.body.stored_reviews, { total: 7, 'Google Play': 4, 'App Store': 3 });
+  });
+
+  test('a second sync adds nothing new', async () => {
+    const res = await request(app).post('/sync').set('X-Admin-Token', 'test-token').expect(200);
+
+    assert.equal(res.body.sync.platforms.android.added, 0);
+    assert.equal(res.body.sync.platforms.ios.added, 0);
+    assert.equal(res.body.stored_reviews.total, 7);
+  });
+
+  test('GET /sync reports the last run', async () => {
+    const res = await request(app).get('/sync').expect(200);
+
+    assert.ok(res.body.last_sync.finished_at);
+    assert.deepEqual(res.body.last_sync.platforms.android.sources, ['google_play.library']);
+  });
+});
+
+describe('review routes', () => {
+  test('GET /reviews combines both platforms, newest first', async () => {
+    const res = await request(app).get('/reviews').expect(200);
+
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.total_reviews, 7);
+    assert.equal(res.body.platforms.android.count, 4);
+    assert.equal(res.body.platforms.ios.count, 3);
+    assert.deepEqual(res.body.warnings, []);
+
+    const dates = res.body.combined_reviews.map(review => new Date(review.date).getTime());
+    assert.deepEqual(dates, [...dates].sort((a, b) => b - a));
+    assert.equal(res.headers['cache-control'], 'no-cache');
+  });
+
+  test('GET /reviews filters by rating', async () => {
+    const res = await request(app).get('/reviews?rating=1').expect(200);
+
+    assert.ok(res.body.total_reviews > 0);
+    assert.ok(res.body.combined_reviews.every(review => review.rating === 1));
+  });
+
+  test('GET /reviews rejects a malformed filter or cursor', async () => {
+    await request(app).get('/reviews?rating=9').expect(400);
+    await request(app).get('/reviews?cursor=not-a-cursor').expect(400);
+  });
+
+  test('GET /reviews rejects a limit that is not a positive integer', async () => {
+    for (const limit of ['-1', '0', '-5', 'abc', '2.5']) {
+      const res = await request(app).get(`/reviews/android?limit=${limit}`).expect(400);
+      assert.match(res.body.error, /Invalid limit/);
+    }
+  });
+
+  test('GET /reviews caps the limit of a page', async () => {
+    // A review history that never ends
+    let requested = 0;
+    const sample = readJson('gplay-reviews.json').data[0];
+    gplay.reviews.mock.mockImplementation(async options => {
+      requested += options.num;
+      const data = Array.from({ length: options.num }, (item, index) =>
+        Object.assign({}, sample, { id: `gp:endless-${requested}-${index}` }));
+      return { data: data, nextPaginationToken: `page-${requested}` };
+    });
+
+    try {
+      const res = await request(app).get('/reviews/android?source=live&limit=100000').expect(200);
+      assert.ok(res.body.count <= 200);
+      assert.ok(requested <= 200);
+    } finally {
+      gplay.reviews.mock.mockImplementation(recordedReviews);
+    }
+  });
+
+  test('GET /reviews rejects a live cursor with malformed positions', async () => {
+    const cursor = state => Buffer.from(JSON.stringify(state)).toString('base64url');
+
+    await request(app).get(`/reviews/android?cursor=${cursor({ s: 'live', a: { 'TR:tr': { page: -1 } }, i: false })}`).expect(400);
+    await request(app).get(`/reviews/android?cursor=${cursor({ s: 'live', a: { 'TR:tr': { token: 7 } }, i: false })}`).expect(400);
+    await request(app).get(`/reviews/android?cursor=${cursor({ s: 'live', a: 'page-2', i: false })}`).expect(400);
+  });
+
+  test('GET /reviews?refresh=true needs the admin token', async () => {
+    await request(app).get('/reviews?refresh=true').expect(403);
+    await request(app).get('/reviews?refresh=true').set('X-Admin-Token', 'wrong').expect(403);
+    await request(app).get('/reviews?refresh=true').set('Authorization', 'Bearer test-token').expect(200);
+  });
+
+  test('GET /reviews?stream=ndjson sends every review, then a summary', async () => {
+    const res = await request(app).get('/reviews?stream=ndjson').expect(200);
+    const events = ndjson(res.text);
+    const summary = events[events.length - 1];
+
+    assert.match(res.headers['content-type'], /application\/x-ndjson/);
+    assert.equal(events.filter(event => event.type === 'review').length, 7);
+    assert.equal(summary.type, 'summary');
+    assert.equal(summary.total_reviews, 7);
+  });
+
+  test('GET /reviews?source=live reads the stores directly', async () => {
+    const res = await request(app).get('/reviews?source=live&limit=20').expect(200);
+
+    assert.equal(res.body.source, 'live');
+    assert.equal(res.body.platforms.android.count, 4);
+    assert.deepEqual(res.body.platforms.ios.sources, ['app_store.rss']);
+    assert.equal(res.body.platforms.ios.count, 3);
+  });
+
+  test('GET /reviews/android pages with the cursor', async () => {
+    const first = await request(app).get('/reviews/android?limit=3').expect(200);
+    assert.equal(first.body.count, 3);
+    assert.ok(first.body.next_cursor);
+
+    const second = await request(app).get(`/reviews/android?limit=3&cursor=${first.body.next_cursor}`).expect(200);
+    assert.equal(second.body.count, 1);
+    assert.equal(second.body.next_cursor, null);
+
+    const ids = first.body.reviews.concat(second.body.reviews).map(review => review.id);
+    assert.equal(new Set(ids).size, 4);
+  });
+
+  test('GET /reviews/ios reads the App Store reviews', async () => {
+    const res = await request(app).get('/apps/koton/reviews/ios').expect(200);
+
+    assert.equal(res.body.platform, 'App Store');
+    assert.equal(res.body.count, 3);
+    assert.deepEqual(res.body.countries, { TR: 3 });
+  });
+
+  test('GET /reviews/export downloads a CSV', async () => {
+    const res = await request(app).get('/reviews/export?format=csv&platform=ios').expect(200);
+
+    assert.match(res.headers['content-type'], /text\/csv/);
+    assert.match(res.headers['content-disposition'], /attachment; filename="koton-reviews-.*\.csv"/);
+    assert.equal(res.headers['x-total-count'], '3');
+    assert.ok(res.text.startsWith('﻿id,platform,country'));
+    assert.equal(res.text.trim().split('\n').length, 4);
+  });
+});
+
+describe('app info routes', () => {
+  test('GET /app-info reads both listings', async () => {
+    const res = await request(app).get('/app-info').expect(200);
+
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.android.info.installs, '10.000.000+');
+    assert.equal(res.body.ios.info.version, '5.12.0');
+    assert.deepEqual(res.body.warnings, []);
+  });
+
+  test('GET /app-info/history keeps every fetched snapshot', async () => {
+    const res = await request(app).get('/app-info/history?platform=ios').expect(200);
+
+    assert.equal(res.body.series.length, 1);
+    assert.equal(res.body.series[0].storefront, 'TR:tr');
+    assert.ok(res.body.series[0].snapshots.length >= 1);
+  });
+});
+
+describe('analytics routes', () => {
+  test('GET /stats summarizes the stored reviews', async () => {
+    const res = await request(app).get('/stats').expect(200);
+
+    assert.equal(res.body.combined.review_count, 7);
+    assert.equal(res.body.platforms.ios.review_count, 3);
+  });
+
+  test('GET /stats keeps the daily volume within the stored reviews', async () => {
+    const res = await request(app).get('/stats?since=0001-01-01&until=9999-12-31').expect(200);
+    const daily = res.body.combined.volume.daily;
+
+    assert.equal(res.body.combined.review_count, 7);
+    assert.equal(daily.reduce((sum, day) => sum + day.count, 0), 7);
+    assert.ok(daily[0].count > 0);
+    assert.ok(daily[daily.length - 1].date <= new Date().toISOString().slice(0, 10));
+  });
+
+  test('GET /stats rejects an unknown platform', async () => {
+    await request(app).get('/stats?platform=windows').expect(400);
+  });
+
+  test('GET /trends buckets the reviews', async () => {
+    const res = await request(app).get('/trends?interval=month').expect(200);
+
+    assert.equal(res.body.interval, 'month');
+    assert.ok(Array.isArray(res.body.series));
+  });
+
+  test('GET /trends rejects a window with too many buckets', async () => {
+    const res = await request(app).get('/trends?interval=day&since=0001-01-01&until=9999-12-31').expect(400);
+
+    assert.match(res.body.error, /Time range too long/);
+  });
+
+  test('GET /trends rejects an unknown interval', async () => {
+    await request(app).get('/trends?interval=fortnight').expect(400);
+  });
+
+  test('GET /insights/topics groups the reviews', async () => {
+    const res = await request(app).get('/insights/topics').expect(200);
+
+    assert.equal(res.body.success, true);
+    assert.ok(Array.isArray(res.body.topics));
+  });
+
+  test('GET /insights/releases compares the versions', async () => {
+    const res = await request(app).get('/insights/releases?min_reviews=1').expect(200);
+
+    assert.equal(res.body.thresholds.minReviews, 1);
+    assert.ok(res.body.platforms.android.releases.length > 0);
+    assert.deepEqual(res.body.warnings, []);
+  });
+
+  test('GET /insights/releases rejects a negative threshold', async () => {
+    await request(app).get('/insights/releases?rating_drop=-1').expect(400);
+  });
+});
+
+describe('alert routes', () => {
+  test('GET /alerts lists the rules and webhooks', async () => {
+    const res = await request(app).get('/alerts').expect(200);
+
+    assert.ok(res.body.rules.some(rule => rule.id === 'payment-one-star'));
+    assert.deepEqual(res.body.webhooks, [{ name: 'default', format: 'generic' }]);
+  });
+
+  test('POST /alerts/test delivers to the webhook', async () => {
+    const res = await request(app).post('/alerts/test').expect(200);
+
+    assert.equal(res.body.success, true);
+    assert.ok(store.requests.includes('POST /hooks/alerts'));
+  });
+
+  test('POST /alerts/test rejects an unknown webhook', async () => {
+    await request(app).post('/alerts/test?webhook=pager').expect(404);
+  });
+});
+
+describe('job routes', () => {
+  test('GET /jobs lists the scheduled jobs', async () => {
+    const res = await request(app).get('/jobs').expect(200);
+
+    assert.equal(res.body.scheduler_running, false);
+    assert.deepEqual(res.body.jobs.map(job => job.id).sort(), ['koton:app-info', 'koton:reviews']);
+  });
+
+  test('POST /jobs/:jobId/run needs the admin token', async () => {
+    await request(app).post('/jobs/koton:app-info/run').expect(403);
+    await request(app).post('/jobs/koton:app-info/run').set('X-Admin-Token', 'wrong').expect(403);
+  });
+
+  test('POST /jobs/:jobId/run runs a job right away', async () => {
+    const res = await request(app).post('/jobs/koton:app-info/run').set('X-Admin-Token', 'test-token').expect(200);
+
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.run.records, 2);
+  });
+
+  test('POST /jobs/:jobId/run rejects an unknown job', async () => {
+    await request(app).post('/jobs/koton:nothing/run').set('Authorization', 'Bearer test-token').expect(404);
+  });
+});
+
+// Last, since failing sources leave their circuits open
+describe('store failures', () => {
+  test('a failed listing becomes a warning next to the other platform', async () => {
+    store.serve('/lookup', { status: 429, headers: { 'Retry-After': '30' } });
+
+    const res = await request(app).get('/app-info').expect(200);
+
+    assert.equal(res.body.ios.success, false);
+    assert.equal(res.body.ios.error_type, 'blocked');
+    assert.deepEqual(res.body.warnings.map(warning => [warning.platform, warning.type, warning.retry_after]), [['ios', 'blocked', 30]]);
+  });
+
+  test('a failed store answers with the status of its error', async () => {
+    store.serve('/tr/rss/', { status: 503 });
+
+    const res = await request(app).get('/reviews/ios?source=live').expect(502);
+
+    assert.equal(res.body.success, false);
+    assert.equal(res.body.error_type, 'network');
+    assert.equal(res.body.platform, 'App Store');
+  });
+
+  test('GET /health/http and /health/sources report the failures', async () => {
+    const http = await request(app).get('/health/http').expect(200);
+    const host = http.body.http.hosts['127.0.0.1'];
+    assert.ok(host.failed >= 2);
+    assert.equal(host.statuses['429'] >= 1, true);
+
+    const sources = await request(app).get('/health/sources').expect(200);
+    const rss = sources.body.sources.find(source => source.source === 'app_store.rss');
+    assert.ok(rss.failures >= 1);
+  });
+
+  test('GET /health/scrapers reports the drift of scraped pages', async () => {
+    store.reset();
+    store.serve('/store/apps/details', { type: 'text/html', body: '<html><title>Before you continue</title></html>' });
+    gplay.app.mock.mockImplementationOnce(async () => {
+      throw new Error('Error requesting Google Play:Response code 503');
+    });
+    await request(app).get('/app-info?refresh=true').set('X-Admin-Token', 'test-token').expect(200);
+
+    const res = await request(app).get('/health/scrapers').expect(200);
+    const [page] = res.body.pages;
+
+    assert.equal(res.body.selectors_file, null);
+    assert.equal(page.page, 'app_info_web');
+    assert.equal(page.drifted, true);
+    assert.ok(page.last_drift.missing.includes('name'));
+    assert.equal(page.samples.length, 1);
+  });
+});
+
+// After the store failures above, since blocked stores leave their circuits open
+describe('failed syncs', () => {
+  test('stored responses carry the warnings of the last sync', async () => {
+    store.reset();
+    store.serve('/tr/rss/', { status: 429, headers: { 'Retry-After': '30' } });
+    await request(app).post('/sync').set('X-Admin-Token', 'test-token').expect(200);
+
+    const ios = await request(app).get('/reviews/ios').expect(200);
+    assert.equal(ios.body.count, 3);
+    assert.deepEqual(ios.body.warnings.map(warning => [warning.storefront, warning.type]), [['TR:tr', 'blocked']]);
+
+    for (const route of ['/stats', '/trends', '/insights/topics', '/insights/releases']) {
+      const res = await request(app).get(route).expect(200);
+      assert.ok(res.body.warnings.some(warning => warning.platform === 'ios' && warning.type === 'blocked'), route);
+    }
+  });
+
+  test('a first sync that failed everywhere answers with the status of the failure', async () => {
+    // Nothing stored and never synced
+    fs.rmSync(path.join(dataDir, 'koton.reviews.json'));
+
+    store.reset();
+    store.serve('/', { status: 429, headers: { 'Retry-After': '30' } });
+    gplay.reviews.mock.mockImplementationOnce(async () => {
+      throw Object.assign(new Error('Request failed with status code 429'), { status: 429 });
+    });
+
+    const reviews = await request(app).get('/reviews').expect(503);
+    assert.equal(reviews.body.success, false);
+    assert.deepEqual(reviews.body.warnings.map(warning => warning.platform), ['android', 'ios']);
+
+    const android = await request(app).get('/reviews/android').expect(503);
+    assert.equal(android.body.error_type, 'blocked');
+
+    for (const route of ['/stats', '/trends', '/insights/topics']) {
+      const res = await request(app).get(route).expect(503);
+      assert.equal(res.body.success, false, route);
+    }
+  });
+});
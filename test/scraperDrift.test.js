@@ -0,0 +1,263 @@
+const { test, describe, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const GooglePlayService = require('../services/googlePlayService');
+const HttpClient = require('../services/httpClient');
+const { SourceHealth } = require('../services/sourceHealth');
+const { ScraperDrift, loadSelectors, fingerprintPage } = require('../services/scraperDrift');
+const { fixture, startMockStore } = require('./helpers/mockStore');
+
+const selectors = loadSelectors();
+
+// Review HTML of the recorded getreviews response
+const apiHtml = JSON.parse(fixture('play-getreviews.txt').substring(5))[0][2];
+const detailsHtml = fixture('play-details.html');
+
+// The same markup after Google renamed the author class
+const renamedAuthorHtml = apiHtml.replace(/X5PpBb/g, 'Jq8cTd');
+
+let dataDir;
+const dataDirs = [];
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'error', () => {});
+});
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mobile-reviews-drift-'));
+  dataDirs.push(dataDir);
+});
+
+after(() => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Recorded pages the configured selectors must keep matching; a selector change that breaks
+// one of them fails here instead of in production
+describe('golden pages', () => {
+  const golden = [
+    { name: 'getreviews', page: 'reviews_api', html: apiHtml, container: 3, fields: { author: 3, rating: 3, date: 3, content: 3 } },
+    { name: 'details reviews', page: 'reviews_web', html: detailsHtml, container: 2, fields: { author: 2, rating: 2, date: 2, content: 2, helpful: 2 } },
+    { name: 'details listing', page: 'app_info_web', html: detailsHtml, container: null, fields: { name: 1, developer: 1, rating: 1, reviews_count: 1, installs: 1, updated: 1, version: 0 } }
+  ];
+
+  golden.forEach(item => {
+    test(`every required selector matches the ${item.name} page`, () => {
+      const fingerprint = fingerprintPage(item.page, item.html, selectors[item.page]);
+
+      assert.deepEqual(fingerprint.missing, []);
+      assert.equal(fingerprint.container ? fingerprint.container.matches : null, item.container);
+      Object.entries(item.fields).forEach(([field, matches]) => {
+        assert.equal(fingerprint.fields[field].matches, matches, field);
+      });
+    });
+  });
+
+  test('the structure hash ignores the review content', () => {
+    const other = apiHtml.replace('Burak Şahin', 'Başka Biri').replace('Kampanyalar çok iyi', 'Kampanyalar kötü');
+
+    assert.equal(
+      fingerprintPage('reviews_api', other, selectors.reviews_api).structure.hash,
+      fingerprintPage('reviews_api', apiHtml, selectors.reviews_api).structure.hash
+    );
+  });
+
+  test('reviews read from page data are checked for their guessed fields', () => {
+    const html = fixture('play-details-af.html');
+    const reviews = new GooglePlayService().extractReviewsFromJavaScript(html, 10);
+
+    const healthy = fingerprintPage('reviews_web', html, selectors.reviews_web, { javascriptReviews: reviews });
+    assert.deepEqual(healthy.javascript, { blocks: 2, reviews: 2, with_rating: 2, with_date: 2 });
+    assert.equal(healthy.source, 'javascript');
+    assert.deepEqual(healthy.missing, []);
+
+    const undated = reviews.map(review => Object.assign({}, review, { date: null }));
+    const drifted = fingerprintPage('reviews_web', html, selectors.reviews_web, { javascriptReviews: undated });
+    assert.ok(drifted.missing.includes('javascript.date'));
+  });
+});
+
+describe('ScraperDrift', () => {
+  test('reports the selector that stopped matching and saves the page', async () => {
+    const drift = new ScraperDrift({ dataDir });
+
+    const healthy = await drift.inspect('reviews_api', apiHtml, selectors.reviews_api);
+    assert.equal(healthy.drifted, false);
+
+    const report = await drift.inspect('reviews_api', renamedAuthorHtml, selectors.reviews_api);
+    assert.equal(report.drifted, true);
+    assert.deepEqual(report.missing, ['author']);
+    assert.deepEqual(report.stopped, [{ field: 'author', selector: '.X5PpBb' }]);
+    assert.equal(report.structure_changed, true);
+
+    const saved = path.join(dataDir, 'scraper-samples', report.sample);
+    assert.equal(fs.readFileSync(saved, 'utf8'), renamedAuthorHtml);
+    assert.deepEqual(JSON.parse(fs.readFileSync(saved.replace(/\.html$/, '.json'), 'utf8')).missing, ['author']);
+  });
+
+  test('a first page without matches is drift even without a baseline', async () => {
+    const drift = new ScraperDrift({ dataDir });
+    const report = await drift.inspect('reviews_web', '<html><title>Before you continue</title></html>', selectors.reviews_web);
+
+    assert.equal(report.drifted, true);
+    assert.deepEqual(report.missing, ['container', 'author', 'rating', 'date', 'content']);
+    assert.deepEqual(report.stopped, []);
+  });
+
+  test('optional fields may stop matching', async () => {
+    const drift = new ScraperDrift({ dataDir });
+    await drift.inspect('reviews_web', detailsHtml, selectors.reviews_web);
+
+    const report = await drift.inspect('reviews_web', detailsHtml.replace(/AJTPZc/g, 'nohelp'), selectors.reviews_web);
+    assert.equal(report.drifted, false);
+  });
+
+  test('label selectors are only required on pages in their language', async () => {
+    const drift = new ScraperDrift({ dataDir });
+    const english = detailsHtml.replace('İndirme', 'Downloads');
+
+    await drift.inspect('app_info_web', detailsHtml, selectors.app_info_web, { language: 'tr' });
+    const report = await drift.inspect('app_info_web', english, selectors.app_info_web, { language: 'en' });
+    assert.equal(report.drifted, false);
+
+    const turkish = await drift.inspect('app_info_web', english, selectors.app_info_web, { language: 'tr' });
+    assert.deepEqual(turkish.missing, ['installs']);
+  });
+
+  test('a healthy page with new markup becomes the baseline', async () => {
+    const drift = new ScraperDrift({ dataDir });
+    await drift.inspect('reviews_api', apiHtml, selectors.reviews_api);
+
+    const restyled = apiHtml.replace(/class="c1bOId"/g, 'class="c1bOId Zx9Qp"');
+    const first = await drift.inspect('reviews_api', restyled, selectors.reviews_api);
+    const second = await drift.inspect('reviews_api', restyled, selectors.reviews_api);
+
+    assert.equal(first.drifted, false);
+    assert.equal(first.structure_changed, true);
+    assert.equal(second.structure_changed, false);
+  });
+
+  test('keeps the newest samples of each page kind', async () => {
+    const drift = new ScraperDrift({ dataDir, maxSamples: 2 });
+    const base = fingerprintPage('reviews_api', renamedAuthorHtml, selectors.reviews_api);
+
+    for (const minute of ['01', '02', '03']) {
+      await drift.check(Object.assign({}, base, { taken_at: `2026-10-19T10:${minute}:00.000Z` }), renamedAuthorHtml);
+    }
+
+    assert.deepEqual(await drift.listSamples('reviews_api'), [
+      'reviews_api-2026-10-19T10-03-00-000Z.html',
+      'reviews_api-2026-10-19T10-02-00-000Z.html'
+    ]);
+    assert.equal(fs.readdirSync(path.join(dataDir, 'scraper-samples')).length, 4);
+  });
+
+  test('keeps its baseline and drift history across restarts', async () => {
+    await new ScraperDrift({ dataDir }).inspect('reviews_api', apiHtml, selectors.reviews_api);
+    await new ScraperDrift({ dataDir }).inspect('reviews_api', renamedAuthorHtml, selectors.reviews_api);
+
+    const [status] = await new ScraperDrift({ dataDir }).status();
+    assert.equal(status.page, 'reviews_api');
+    assert.equal(status.drifted, true);
+    assert.equal(status.checks, 2);
+    assert.equal(status.drifts, 1);
+    assert.deepEqual(status.last_drift.stopped, [{ field: 'author', selector: '.X5PpBb' }]);
+    assert.equal(status.samples.length, 1);
+  });
+
+  test('without a data directory it only keeps state in memory', async () => {
+    const drift = new ScraperDrift();
+    const report = await drift.inspect('reviews_api', renamedAuthorHtml, selectors.reviews_api);
+
+    assert.equal(report.sample, null);
+    assert.equal((await drift.status())[0].drifts, 1);
+  });
+});
+
+describe('loadSelectors', () => {
+  const writeSelectors = content => {
+    const file = path.join(dataDir, 'selectors.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  test('a selectors file switches the scraper to renamed classes', () => {
+    const overridden = loadSelectors(writeSelectors({ reviews_api: { fields: { author: ['.X5PpBb', '.Jq8cTd'] } } }));
+    const service = new GooglePlayService({ selectors: overridden });
+
+    assert.deepEqual(new GooglePlayService().parsePlayStoreReviews(renamedAuthorHtml, Infinity), []);
+    assert.deepEqual(
+      service.parsePlayStoreReviews(renamedAuthorHtml, Infinity).map(review => review.author),
+      ['Burak Şahin', 'Selin Arslan']
+    );
+    assert.deepEqual(overridden.reviews_api.fields.content, ['.h3YV2d']);
+    assert.deepEqual(overridden.reviews_web, selectors.reviews_web);
+  });
+
+  test('rejects a file that cannot be used', () => {
+    assert.throws(() => loadSelectors(path.join(dataDir, 'missing.json')), /Failed to load scraper selectors/);
+    assert.throws(() => loadSelectors(writeSelectors('{ not json')), /Failed to load scraper selectors/);
+    assert.throws(() => loadSelectors(writeSelectors({ reviews_app: {} })), /Unknown page "reviews_app"/);
+    assert.throws(() => loadSelectors(writeSelectors({ reviews_api: { fields: { author: [] } } })), /reviews_api.fields.author/);
+    assert.throws(() => loadSelectors(writeSelectors({ reviews_api: { container: '.RHo1pe[' } })), /Invalid scraper selector/);
+    assert.throws(() => loadSelectors(writeSelectors({ app_info_web: { labels: { installs: 1 } } })), /app_info_web.labels/);
+  });
+});
+
+describe('drift checks while scraping', () => {
+  let store;
+  let drift;
+  let service;
+
+  before(async () => {
+    store = await startMockStore();
+  });
+
+  after(() => store.close());
+
+  beforeEach(() => {
+    store.reset();
+    drift = new ScraperDrift({ dataDir });
+    service = new GooglePlayService({
+      httpClient: new HttpClient({ retries: 0, hosts: { default: { concurrency: 4, minInterval: 0 } } }),
+      sourceHealth: new SourceHealth(),
+      baseUrl: store.url,
+      drift: drift
+    });
+  });
+
+  test('every scraped page kind is fingerprinted', async () => {
+    await service.getReviewsFromPlayStore('com.koton.app', 'tr', 10, { page: 0, skip: 0 }, 'TR');
+    await service.scrapeReviewsFromWeb('com.koton.app', 'tr', 10, 'TR');
+
+    const pages = await drift.status();
+    assert.deepEqual(pages.map(page => [page.page, page.drifted]), [['reviews_api', false], ['reviews_web', false]]);
+  });
+
+  test('a page whose reviews are read from its data is not drift after an HTML page', async () => {
+    await service.scrapeReviewsFromWeb('com.koton.app', 'tr', 10, 'TR');
+    store.serve('/store/apps/details', { type: 'text/html', body: fixture('play-details-af.html') });
+
+    const reviews = await service.scrapeReviewsFromWeb('com.koton.app', 'tr', 10, 'TR');
+    assert.equal(reviews.length, 2);
+
+    const [page] = await drift.status();
+    assert.equal(page.drifted, false);
+    assert.equal(page.drifts, 0);
+    assert.equal(page.samples.length, 0);
+  });
+
+  test('a renamed class is reported while the scrape still answers', async () => {
+    store.serve('/store/apps/details', { type: 'text/html', body: detailsHtml.replace(/bp9Aid/g, 'p2TkOb') });
+
+    const reviews = await service.scrapeReviewsFromWeb('com.koton.app', 'tr', 10, 'TR');
+    assert.equal(reviews.length, 2);
+
+    const [page] = await drift.status();
+    assert.equal(page.drifted, true);
+    assert.deepEqual(page.last_drift.missing, ['date']);
+    assert.equal(page.samples.length, 1);
+  });
+});
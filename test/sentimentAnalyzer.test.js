@@ -0,0 +1,23 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { analyzeSentiment } = require('../services/sentimentAnalyzer');
+
+const label = text => analyzeSentiment(text, 'tr').label;
+
+describe('analyzeSentiment', () => {
+  test('a stem keeps its valence through the usual suffixes', () => {
+    assert.equal(label('Fiyatlar uygun'), 'positive');
+    assert.equal(label('Fiyatları çok uygundu'), 'positive');
+  });
+
+  test('the "without" suffix turns a word into its opposite', () => {
+    assert.equal(label('Çok uygunsuz bir davranış'), 'negative');
+    assert.equal(label('Uygunsuzluk yaşadım'), 'negative');
+  });
+
+  test('words the lexicon lists with the suffix keep their own valence', () => {
+    assert.equal(label('Sorunsuz çalışıyor'), 'positive');
+    assert.equal(label('Kalitesiz ürünler'), 'negative');
+  });
+});
@@ -0,0 +1,63 @@
+const { test, describe, before, beforeEach, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ReviewStore = require('../services/reviewStore');
+const SyncService = require('../services/syncService');
+
+const TR = { country: 'TR', language: 'tr' };
+const DE = { country: 'DE', language: 'de' };
+const entry = { key: 'koton', name: 'Koton', android: { packageId: 'com.koton.app' }, ios: null, storefronts: [TR, DE] };
+
+let dataDir;
+let fetched;
+let syncService;
+const dataDirs = [];
+
+before(() => {
+  mock.method(console, 'log', () => {});
+});
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mobile-reviews-sync-'));
+  dataDirs.push(dataDir);
+  fetched = [];
+
+  syncService = new SyncService({
+    googlePlayService: {
+      fetchReviewsFrom: async (packageId, language, limit, position, country) => {
+        fetched.push(country);
+        return { reviews: [], rejected: [], source: 'google_play.library' };
+      }
+    },
+    appStoreService: {},
+    store: new ReviewStore(dataDir)
+  });
+});
+
+after(() => dataDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+describe('concurrent syncs', () => {
+  test('calls for the same storefronts share one run', async () => {
+    const [first, second] = await Promise.all([
+      syncService.syncApp(entry),
+      syncService.syncApp(Object.assign({}, entry, { storefronts: [DE, TR] }))
+    ]);
+
+    assert.equal(first, second);
+    assert.deepEqual(fetched.sort(), ['DE', 'TR']);
+  });
+
+  test('a job limited to some storefronts does not get the run of the others', async () => {
+    const [tr, de] = await Promise.all([
+      syncService.syncApp(Object.assign({}, entry, { storefronts: [TR] })),
+      syncService.syncApp(Object.assign({}, entry, { storefronts: [DE] }))
+    ]);
+
+    assert.deepEqual(Object.keys(tr.storefronts), ['TR:tr']);
+    assert.deepEqual(Object.keys(de.storefronts), ['DE:de']);
+    assert.deepEqual(fetched.sort(), ['DE', 'TR']);
+  });
+});
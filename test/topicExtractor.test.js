@@ -0,0 +1,47 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { classifyReview } = require('../services/topicExtractor');
+
+const themes = content => classifyReview({ title: '', content });
+
+describe('classifyReview', () => {
+  test('matches inflected keywords', () => {
+    assert.deepEqual(themes('Kargom hâlâ gelmedi'), ['delivery']);
+    assert.deepEqual(themes('Ödemeyi yaptım ama sipariş oluşmadı'), ['payment']);
+    assert.deepEqual(themes('Parayı iki kez ödedim'), ['payment']);
+    assert.deepEqual(themes('Hesabıma giremiyorum'), ['login']);
+  });
+
+  test('a star rating is not a price', () => {
+    assert.deepEqual(themes('5 puan veriyorum, çok memnunum'), []);
+    assert.deepEqual(themes('Puanım düşük çünkü beğenmedim'), []);
+  });
+
+  test('homework is not a payment', () => {
+    assert.deepEqual(themes('Ödevimi yaparken kıyafet baktım'), []);
+  });
+
+  test('calculations are not an account', () => {
+    assert.deepEqual(themes('Sepet tutarını yanlış hesaplıyor'), []);
+    assert.deepEqual(themes('Hesaplı ürünler var'), []);
+  });
+
+  test('English keywords do not match the Turkish words they begin', () => {
+    assert.deepEqual(themes('Size teşekkür ederim, harika'), []);
+    assert.deepEqual(themes('Size ulaşmaya çalışıyorum ama cevap yok'), ['support']);
+    assert.deepEqual(themes('Cardigan çok güzel geldi'), []);
+    assert.deepEqual(themes('Bugün siparişimi verdim'), []);
+  });
+
+  test('English keywords match whole words and their stems', () => {
+    assert.deepEqual(themes('The sizes are all wrong'), ['sizing']);
+    assert.deepEqual(themes('My card was charged twice'), ['payment']);
+    assert.deepEqual(themes('App keeps crashing after the update'), ['stability']);
+  });
+
+  test('an eagle is not a card', () => {
+    assert.deepEqual(themes('Kartal desenli tişört aldım'), []);
+    assert.deepEqual(themes('Kartımdan iki kez çekildi'), ['payment']);
+  });
+});